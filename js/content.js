@@ -1,941 +1,4603 @@
 (function (globals) {
   "use strict";
 
-  class GitLabApiClient {
+  class Logger {
     /**
-     * The GitLab API client used by the extension. No tokens or authentication needed as every requests are
-     * performed from inside the context of the page (GitLab allows API calls if they comes from the site).
+     * The leveled logger of the content script. Messages less severe than the given level aren't written to the
+     * console, but the latest ones are always kept so they can be included in bug reports (see the diagnostics
+     * panel).
      */
-    constructor(baseUrl, csrfToken) {
-      this.baseUrl = baseUrl;
-      this.csrfToken = csrfToken;
+    constructor(level = "silent") {
+      this.level = level;
+      this.entries = [];
+      this.maxEntries = 200;
     }
 
     /**
-     * Returns the full URL to the given GitLab API endpoint.
+     * The available levels, from the least to the most verbose.
      */
-    createEndpointUrl(endpoint, queryStringParameters = null) {
-      let endpointUrl = new URL(this.baseUrl + endpoint);
-
-      if (queryStringParameters) {
-        queryStringParameters.forEach(function (queryStringParameter) {
-          endpointUrl.searchParams.append(
-            queryStringParameter[0],
-            queryStringParameter[1]
-          );
-        });
-      }
-
-      return endpointUrl.toString();
+    static get levels() {
+      return ["silent", "error", "warn", "info", "debug"];
     }
 
     /**
-     * Sends an HTTP request to the GitLab API.
+     * Changes the level, writing to the console the kept messages that were hidden until now but aren't anymore
+     * (preferences, thus the level, being loaded asynchronously).
      */
-    sendRequest(method, endpoint, queryStringParameters = null, data = null) {
-      let headers = {};
-      let body = null;
+    setLevel(level) {
+      let previousLevel = this.level;
 
-      if (["post", "put", "patch"].includes(method.toLowerCase())) {
-        if (!this.csrfToken) {
-          console.error(
-            "Cannot issue POST/PUT/PATCH requests without CSRF token"
-          );
+      this.level = level;
 
-          return;
+      this.entries.forEach(function (entry) {
+        if (
+          !this.isLevelEnabled(entry.level, previousLevel) &&
+          this.isLevelEnabled(entry.level, level)
+        ) {
+          this.writeToConsole(entry.level, [entry.message]);
         }
+      }, this);
+    }
 
-        headers["X-CSRF-Token"] = this.csrfToken;
-      }
-
-      if (data) {
-        headers["Content-Type"] = "application/json";
+    /**
+     * Determines if messages of the given level are written to the console at the given maximum level.
+     */
+    isLevelEnabled(level, maximumLevel = this.level) {
+      let levels = Logger.levels;
 
-        body = JSON.stringify(data);
-      }
+      return levels.indexOf(level) <= levels.indexOf(maximumLevel);
+    }
 
-      let fetchPromise = fetch(
-        this.createEndpointUrl(endpoint, queryStringParameters),
-        {
-          method: method,
-          headers: headers,
-          body: body,
-          credentials: "same-origin",
-        }
-      ).then(function (response) {
-        if (response.ok) {
-          return response.json();
-        } else {
-          return Promise.reject(response);
-        }
-      });
+    /**
+     * Logs an error: something the user will notice didn't work.
+     */
+    error(...args) {
+      this.log("error", args);
+    }
 
-      fetchPromise.catch(function (err) {
-        console.error("Got error from GitLab:", err);
+    /**
+     * Logs a warning: something unexpected the extension could cope with.
+     */
+    warn(...args) {
+      this.log("warn", args);
+    }
 
-        alert("Got error from GitLab, check console for more information.");
-      });
+    /**
+     * Logs an informational message about the extension lifecycle.
+     */
+    info(...args) {
+      this.log("info", args);
+    }
 
-      return fetchPromise;
+    /**
+     * Logs a detailed message only useful when investigating an issue.
+     */
+    debug(...args) {
+      this.log("debug", args);
     }
 
     /**
-     * Fetch details about the given Merge Requests IDs in the given project ID.
+     * Keeps the given message then writes it to the console if its level is enabled.
      */
-    getProjectMergeRequests(projectId, mergeRequestIds) {
-      let queryStringParameters = mergeRequestIds.map(function (
-        mergeRequestId
-      ) {
-        return ["iids[]", mergeRequestId];
+    log(level, args) {
+      this.entries.push({
+        time: new Date().toISOString(),
+        level: level,
+        message: args.map(this.formatArgument).join(" "),
       });
 
-      return this.sendRequest(
-        "GET",
-        "projects/" + projectId + "/merge_requests",
-        queryStringParameters
-      );
+      if (this.entries.length > this.maxEntries) {
+        this.entries.shift();
+      }
+
+      if (this.isLevelEnabled(level)) {
+        this.writeToConsole(level, args);
+      }
     }
 
     /**
-     * Update the given Merge Request Id in the given project ID.
+     * Writes the given message parts to the console using the method matching the given level.
      */
-    updateProjectMergeRequest(projectId, mergeRequestId, data) {
-      let dataToSend = {
-        id: parseInt(projectId, 10),
-        merge_request_iid: parseInt(mergeRequestId, 10),
-      };
+    writeToConsole(level, args) {
+      console[level].apply(console, ["🔧 GitLab MR Enhancer:"].concat(args));
+    }
 
-      Object.assign(dataToSend, data);
+    /**
+     * Converts the given message part to a (reasonably short) text.
+     */
+    formatArgument(argument) {
+      let text;
 
-      return this.sendRequest(
-        "PUT",
-        "projects/" + projectId + "/merge_requests/" + mergeRequestId,
-        null,
-        dataToSend
-      );
+      if (argument instanceof Error) {
+        text = argument.name + ": " + argument.message;
+      } else if (argument instanceof Node) {
+        text = "<" + argument.nodeName.toLowerCase() + ">";
+      } else if (argument instanceof Response) {
+        text = "HTTP " + argument.status + " " + argument.url;
+      } else if (argument !== null && typeof argument === "object") {
+        try {
+          text = JSON.stringify(argument);
+        } catch (e) {
+          text = String(argument);
+        }
+      } else {
+        text = String(argument);
+      }
+
+      return text.length > 500 ? text.substring(0, 499) + "…" : text;
     }
   }
 
-  class ContentScript {
+  class Notifier {
     /**
-     * The content script of the extension which is executed in the context of the page.
+     * Shows toast notifications in the bottom left corner of the page. Notifications sharing the same key are merged
+     * into a single one (its action then applies to all of them) so a failure affecting many Merge Requests rows
+     * doesn't flood the page.
      */
     constructor() {
-      console.log("🔧 GitLab MR Enhancer: Extension starting...");
-      console.log(
-        "🔧 GitLab MR Enhancer: Current page URL:",
-        window.location.href
-      );
-      console.log("🔧 GitLab MR Enhancer: Page title:", document.title);
-
-      // Add visible debug element to UI
-      this.addDebugElement();
+      this.containerNode = null;
+      this.notifications = {};
+    }
 
-      this.currentProjectId = this.getCurrentProjectId();
-      console.log("🔧 GitLab MR Enhancer: Project ID:", this.currentProjectId);
+    /**
+     * Shows a notification, or merges it into the displayed one having the same key. Available options:
+     *
+     *   - `key`: identifies notifications to merge (defaults to the message)
+     *   - `variant`: `info`, `success`, `warning` or `danger` (the default)
+     *   - `actionLabel` and `onAction`: a button calling the given function then dismissing the notification
+     *   - `onDismiss`: a function called if the notification is dismissed without using its action
+     *   - `duration`: time (in milliseconds) before the notification is automatically dismissed, `0` to keep it until
+     *     the user dismisses it. Defaults to 10 seconds, or `0` if there's an action
+     */
+    show(message, options = {}) {
+      let self = this;
+      let key = options.key || message;
+      let notification = this.notifications[key];
 
-      if (!this.currentProjectId) {
-        console.error(
-          "❌ GitLab MR Enhancer: Aborting: current project ID cannot be found"
-        );
-        console.log(
-          "🔧 GitLab MR Enhancer: Available body data attributes:",
-          Object.keys(document.body?.dataset || {})
+      if (notification) {
+        notification.count++;
+        notification.countNode.textContent = " (×" + notification.count + ")";
+      } else {
+        notification = this.notifications[key] = this.createNotification(
+          message,
+          options
         );
-        return;
       }
 
-      this.baseProjectUrl = this.getBaseProjectUrl();
-      console.log(
-        "🔧 GitLab MR Enhancer: Base project URL:",
-        this.baseProjectUrl
-      );
-
-      if (!this.baseProjectUrl) {
-        console.error(
-          "❌ GitLab MR Enhancer: Aborting: base project URL cannot be found"
-        );
-        return;
+      if (options.onAction) {
+        notification.actionCallbacks.push(options.onAction);
       }
 
-      this.baseUrl = location.protocol + "//" + location.host;
-      this.baseApiUrl = this.baseUrl + "/api/v4/";
-      this.baseIconsUrl = this.getBaseIconsUrl();
-      this.userAuthenticated = this.isUserAuthenticated();
-      this.pipelineFeatureEnabled = this.isPipelineFeatureEnabled();
-      this.apiClient = new GitLabApiClient(
-        this.baseApiUrl,
-        this.getCsrfToken()
-      );
+      if (options.onDismiss) {
+        notification.dismissCallbacks.push(options.onDismiss);
+      }
 
-      let preferencesManager = new globals.Gmrle.PreferencesManager();
+      let duration =
+        "duration" in options ? options.duration : options.onAction ? 0 : 10000;
 
-      let self = this;
+      clearTimeout(notification.timeoutId);
 
-      preferencesManager.getAll(function (preferences) {
-        console.log("🔧 GitLab MR Enhancer: Preferences loaded:", preferences);
-        self.preferences = preferences;
-        self.waitForMergeRequestsAndProcess();
-      });
+      if (duration > 0) {
+        notification.timeoutId = setTimeout(function () {
+          self.dismiss(key, false);
+        }, duration);
+      }
     }
 
     /**
-     * Adds a visible debug element to the UI to show the extension is running
+     * Creates the DOM node of a new notification, returning its state.
      */
-    addDebugElement() {
-      const debugDiv = document.createElement("div");
-      debugDiv.style.cssText = `
-                position: fixed;
-                top: 10px;
-                right: 10px;
-                background: #ff6b6b;
-                color: white;
-                padding: 8px 12px;
-                border-radius: 4px;
-                font-size: 12px;
-                font-weight: bold;
-                z-index: 9999;
-                box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-            `;
-      debugDiv.textContent = "🔧 GitLab MR Enhancer Active";
-      document.body.appendChild(debugDiv);
-
-      // Remove after 5 seconds
-      setTimeout(() => {
-        if (debugDiv.parentNode) {
-          debugDiv.parentNode.removeChild(debugDiv);
-        }
-      }, 5000);
-    }
+    createNotification(message, options) {
+      let self = this;
+      let key = options.key || message;
+      let colors = {
+        info: "#1f75cb",
+        success: "#108548",
+        warning: "#c17d10",
+        danger: "#dd2b0e",
+      };
 
-    /**
-     * Finds and returns the GitLab project ID whe're looking merge requests at.
-     */
-    getCurrentProjectId() {
-      let body = document.querySelector("body");
+      if (!this.containerNode || !this.containerNode.isConnected) {
+        this.containerNode = document.createElement("div");
+        this.containerNode.className = "gmrle-notifications";
+        this.containerNode.style.cssText =
+          "position: fixed; bottom: 20px; left: 20px; z-index: 1002; max-width: 400px;";
 
-      if (!body || !("projectId" in body.dataset)) {
-        return null;
+        document.body.appendChild(this.containerNode);
       }
 
-      return body.dataset.projectId;
-    }
+      let node = document.createElement("div");
+      let messageNode = document.createElement("span");
+      let countNode = document.createElement("span");
+      let closeButton = document.createElement("button");
 
-    /**
-     * Finds and returns the URI to the project whe're looking merge requests at.
-     */
-    getBaseProjectUrl() {
-      console.log("🔧 GitLab MR Enhancer: Looking for project URL...");
+      node.className =
+        "gl-bg-white gl-border gl-rounded-base gl-shadow gl-p-3 gl-mt-2 gmrle-notification";
+      node.setAttribute("role", "alert");
+      node.style.cssText =
+        "border-left: 4px solid " +
+        (colors[options.variant] || colors.danger) +
+        "; white-space: pre-line;";
 
-      // Try multiple selectors to find the project URL
-      const selectors = [
-        ".nav-sidebar .context-header a",
-        ".sidebar-context-header a",
-        ".context-header a",
-        '[data-testid="project-link"]',
-        ".project-link",
-        '.sidebar-top-level-items a[href*="/-/"]',
-      ];
+      messageNode.textContent = message;
 
-      for (let selector of selectors) {
-        let link = document.querySelector(selector);
-        if (link) {
-          const href = link.getAttribute("href");
-          console.log(
-            '🔧 GitLab MR Enhancer: Found project URL with selector "' +
-              selector +
-              '":',
-            href
-          );
-          return href;
-        }
-      }
+      closeButton.className = "btn btn-default btn-sm gl-button gl-ml-2";
+      closeButton.textContent = "Dismiss";
+      closeButton.addEventListener("click", function (e) {
+        e.preventDefault();
 
-      // Fallback: try to extract from current URL
-      const currentUrl = window.location.href;
-      console.log("🔧 GitLab MR Enhancer: Current URL:", currentUrl);
+        self.dismiss(key, false);
+      });
 
-      // Extract project path from URL like: https://gitlab.com/group/project/-/merge_requests
-      // Handle both 2-level (group/project) and 3-level (group/subgroup/project) paths
-      const urlMatch = currentUrl.match(
-        /(https?:\/\/[^\/]+)(\/[^\/]+\/[^\/]+\/[^\/]+)\/-\//
-      );
-      if (urlMatch) {
-        const projectUrl = urlMatch[1] + urlMatch[2];
-        console.log(
-          "🔧 GitLab MR Enhancer: Extracted project URL from current URL:",
-          projectUrl
-        );
-        return projectUrl;
-      }
+      node.append(messageNode, countNode);
 
-      // Fallback for 2-level paths: group/project
-      const pathMatch = currentUrl.match(
-        /(https?:\/\/[^\/]+)(\/[^\/]+\/[^\/]+)\/-\//
-      );
-      if (pathMatch) {
-        const projectUrl = pathMatch[1] + pathMatch[2];
-        console.log(
-          "🔧 GitLab MR Enhancer: Extracted project URL (2-level path):",
-          projectUrl
-        );
-        return projectUrl;
-      }
+      if (options.actionLabel) {
+        let actionButton = document.createElement("button");
 
-      console.error(
-        "❌ GitLab MR Enhancer: Could not find project URL with any selector or URL extraction"
-      );
-      return null;
-    }
+        actionButton.className = "btn btn-confirm btn-sm gl-button gl-ml-2";
+        actionButton.textContent = options.actionLabel;
+        actionButton.addEventListener("click", function (e) {
+          e.preventDefault();
 
-    /**
-     * Get the current CSRF token that should be sent in any subsequent POST or PUT requests to the Gitlab API.
-     */
-    getCsrfToken() {
-      let meta = document.querySelector('meta[name="csrf-token"]');
+          self.dismiss(key, true);
+        });
 
-      return meta ? meta.getAttribute("content") : null;
-    }
+        node.append(actionButton);
+      }
 
-    /**
-     * Determines if the current user is logged-in to GitLab.
-     */
-    isUserAuthenticated() {
-      return document.querySelector(".navbar-nav .header-user") ? true : false;
+      node.append(closeButton);
+
+      this.containerNode.appendChild(node);
+
+      return {
+        node: node,
+        countNode: countNode,
+        count: 1,
+        actionCallbacks: [],
+        dismissCallbacks: [],
+        timeoutId: null,
+      };
     }
 
     /**
-     * Return the base URL to the SVG icons file.
+     * Removes the notification having the given key, calling either its action or its dismiss callbacks.
      */
-    getBaseIconsUrl() {
-      let svgUse = document.querySelector("svg.s16 > use");
+    dismiss(key, actionUsed) {
+      let notification = this.notifications[key];
 
-      if (!svgUse || !svgUse.href.baseVal) {
-        return null;
+      if (!notification) {
+        return;
       }
 
-      let url = svgUse.href.baseVal;
-
-      if (url.startsWith("/")) {
-        url = this.baseUrl + url;
-      }
+      delete this.notifications[key];
 
-      let parsedUrl = new URL(url);
+      clearTimeout(notification.timeoutId);
+      notification.node.remove();
 
-      return (
-        parsedUrl.protocol + "//" + parsedUrl.host + "/" + parsedUrl.pathname
-      );
+      (actionUsed
+        ? notification.actionCallbacks
+        : notification.dismissCallbacks
+      ).forEach(function (callback) {
+        callback();
+      });
     }
+  }
 
+  class ApiResponseCache {
     /**
-     * Determines if the project do uses the Gitlab "pipeline" feature.
+     * Persists GitLab API responses in IndexedDB (in the GitLab instance origin), along with their ETag, so they can
+     * be rendered right away on the next page load and revalidated using conditional requests. Figures computed from
+     * responses too large to be cached may be persisted as well, without ETag. Entries older than the given TTL (in
+     * milliseconds) are ignored and eventually purged.
+     *
+     * Entries are only visible to caches given the same scope (e.g. the current user), so responses fetched for
+     * someone are never shown to someone else.
+     *
+     * The cache is best effort: if IndexedDB isn't available, every lookup simply misses.
      */
-    isPipelineFeatureEnabled() {
-      return document.querySelector(".nav-sidebar .shortcuts-pipelines")
-        ? true
-        : false;
+    constructor(ttl, scope, logger = new Logger()) {
+      this.ttl = ttl;
+      this.scope = scope;
+      this.logger = logger;
+      this.databasePromise = null;
     }
 
     /**
-     * Waits for merge requests to load in the DOM and then processes them
+     * Opens the database (only once), purging expired entries.
      */
-    waitForMergeRequestsAndProcess() {
-      console.log(
-        "🔧 GitLab MR Enhancer: Waiting for merge requests to load..."
-      );
+    openDatabase() {
+      let self = this;
 
-      const maxAttempts = 10;
-      let attempts = 0;
+      if (this.databasePromise) {
+        return this.databasePromise;
+      }
 
-      const checkForMergeRequests = () => {
-        attempts++;
-        console.log(
-          `🔧 GitLab MR Enhancer: Attempt ${attempts}/${maxAttempts} to find merge requests`
-        );
+      this.databasePromise = new Promise(function (resolve, reject) {
+        let request = indexedDB.open("gmrle-api-cache", 1);
 
-        // Try multiple selectors to find merge request elements
-        const selectors = [
-          ".mr-list .merge-request .issuable-reference",
-          ".merge-request .issuable-reference",
-          '[data-testid="merge-request-item"] .issuable-reference',
-          ".gl-list-item .issuable-reference",
-        ];
-
-        let mrElements = [];
-        for (let selector of selectors) {
-          mrElements = document.querySelectorAll(selector);
-          if (mrElements.length > 0) {
-            console.log(
-              `🔧 GitLab MR Enhancer: Found ${mrElements.length} MR elements using selector: ${selector}`
-            );
-            break;
-          }
-        }
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore("responses", { keyPath: "key" });
+        };
 
-        if (mrElements.length > 0) {
-          // Found merge requests, process them
-          this.currentMergeRequestIds = this.getCurrentMergeRequestIds();
-          console.log(
-            "🔧 GitLab MR Enhancer: Found MR IDs:",
-            this.currentMergeRequestIds
-          );
-          this.fetchMergeRequestsDetailsThenUpdateUI(
-            this.currentMergeRequestIds
-          );
-        } else if (attempts < maxAttempts) {
-          // Wait 1 second and try again
-          console.log(
-            "🔧 GitLab MR Enhancer: No merge requests found, retrying in 1 second..."
-          );
-          setTimeout(checkForMergeRequests, 1000);
-        } else {
-          console.error(
-            "❌ GitLab MR Enhancer: Could not find merge requests after",
-            maxAttempts,
-            "attempts"
-          );
-        }
-      };
+        request.onsuccess = function () {
+          resolve(request.result);
+        };
 
-      checkForMergeRequests();
+        request.onerror = function () {
+          reject(request.error);
+        };
+      }).then(function (database) {
+        self.purgeExpiredEntries(database);
+
+        return database;
+      });
+
+      return this.databasePromise;
     }
 
     /**
-     * Gets all Merge Requests IDs that are currently displayed.
+     * Resolves with the cached entry (`{key, etag, data, storedAt}`) for the given key, or `null` if there's none or
+     * if it expired.
      */
-    getCurrentMergeRequestIds() {
-      // Try multiple selectors to find merge request elements
-      const selectors = [
-        ".mr-list .merge-request .issuable-reference",
-        ".merge-request .issuable-reference",
-        '[data-testid="merge-request-item"] .issuable-reference',
-        ".gl-list-item .issuable-reference",
-      ];
+    get(key) {
+      let self = this;
 
-      let mrElements = [];
-      let usedSelector = "";
+      return this.openDatabase()
+        .then(function (database) {
+          return new Promise(function (resolve, reject) {
+            let request = database
+              .transaction("responses")
+              .objectStore("responses")
+              .get(self.scope + " " + key);
 
-      for (let selector of selectors) {
-        mrElements = document.querySelectorAll(selector);
-        if (mrElements.length > 0) {
-          usedSelector = selector;
-          break;
-        }
-      }
+            request.onsuccess = function () {
+              let entry = request.result;
 
-      console.log(
-        "🔧 GitLab MR Enhancer: Found",
-        mrElements.length,
-        "MR elements in DOM using selector:",
-        usedSelector
-      );
+              resolve(
+                entry && Date.now() - entry.storedAt < self.ttl ? entry : null
+              );
+            };
 
-      // Debug: Show the first few MR elements and their structure
-      const firstFewElements = Array.from(mrElements).slice(0, 3);
-      firstFewElements.forEach((el, index) => {
-        console.log("🔧 GitLab MR Enhancer: MR element", index + 1, ":", {
-          text: el.textContent.trim(),
-          parentClasses: el.parentElement?.className,
-          parentDataAttrs: el.parentElement?.dataset,
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        })
+        .catch(function () {
+          return null;
         });
-      });
-
-      const mrIds = Array.from(mrElements).map(function (el) {
-        const id = el.textContent.trim().replace("!", "");
-        console.log("🔧 GitLab MR Enhancer: Found MR ID in DOM:", id);
-        return id;
-      });
-
-      return mrIds;
     }
 
     /**
-     * Performs an HTTP GET request to the GitLab API to retrieve details about Merge Requests that are
-     * currently displayed. If successful, it actually updates the UI by altering the DOM.
+     * Stores the given response data and ETag for the given key.
      */
-    fetchMergeRequestsDetailsThenUpdateUI(mergeRequestIds) {
+    set(key, etag, data) {
       let self = this;
 
-      console.log(
-        "🔧 GitLab MR Enhancer: Fetching MR details for IDs:",
-        mergeRequestIds
-      );
-      console.log(
-        "🔧 GitLab MR Enhancer: Display branches setting:",
-        self.preferences.display_source_and_target_branches
-      );
-
-      // Debug: Check what's in the DOM right now
-      console.log("🔧 GitLab MR Enhancer: Current DOM state:");
-      const allElements = document.querySelectorAll("*");
-      console.log(
-        "🔧 GitLab MR Enhancer: Total elements in DOM:",
-        allElements.length
-      );
+      this.openDatabase()
+        .then(function (database) {
+          database
+            .transaction("responses", "readwrite")
+            .objectStore("responses")
+            .put({
+              key: self.scope + " " + key,
+              etag: etag,
+              data: data,
+              storedAt: Date.now(),
+            });
+        })
+        .catch(function (error) {
+          self.logger.warn("Unable to cache GitLab API response:", error);
+        });
+    }
 
-      const mrListElements = document.querySelectorAll(".mr-list");
-      console.log(
-        "🔧 GitLab MR Enhancer: .mr-list elements found:",
-        mrListElements.length
-      );
+    /**
+     * Deletes the entries older than the TTL from the given database.
+     */
+    purgeExpiredEntries(database) {
+      let expiredBefore = Date.now() - this.ttl;
+      let request = database
+        .transaction("responses", "readwrite")
+        .objectStore("responses")
+        .openCursor();
 
-      const mergeRequestElements = document.querySelectorAll(".merge-request");
-      console.log(
-        "🔧 GitLab MR Enhancer: .merge-request elements found:",
-        mergeRequestElements.length
-      );
+      request.onsuccess = function () {
+        let cursor = request.result;
 
-      this.apiClient
-        .getProjectMergeRequests(this.currentProjectId, mergeRequestIds)
-        .then(function (responseData) {
-          console.log(
-            "🔧 GitLab MR Enhancer: API response received:",
-            responseData
-          );
+        if (!cursor) {
+          return;
+        }
 
-          if (self.preferences.display_source_and_target_branches) {
-            console.log(
-              "🔧 GitLab MR Enhancer: Removing existing branch nodes"
-            );
-            self.removeExistingTargetBranchNodes();
-          }
+        if (cursor.value.storedAt < expiredBefore) {
+          cursor.delete();
+        }
 
-          console.log("🔧 GitLab MR Enhancer: Updating MR nodes");
-          self.updateMergeRequestsNodes(responseData);
-        })
-        .catch(function (error) {
-          console.error(
-            "❌ GitLab MR Enhancer: Error fetching MR details:",
-            error
-          );
-        });
+        cursor.continue();
+      };
     }
+  }
 
+  class MarkupAdapter {
     /**
-     * Removes all branches that may have been already displayed by GitLab.
+     * Abstracts the markup of a given GitLab UI generation: every DOM lookup the enhancers rely on goes through an
+     * adapter, so supporting a new GitLab release only means writing a new adapter (see `adapters`).
+     *
+     * Adapters usually only have to define `matches()` and `selectors`, overriding methods when the markup needs more
+     * than a selector to be looked up.
      */
-    removeExistingTargetBranchNodes() {
-      document
-        .querySelectorAll(".mr-list .merge-request .project-ref-path")
-        .forEach(function (el) {
-          el.parentNode.removeChild(el);
-        });
-    }
+    constructor() {}
 
     /**
-     * Parses HTML code and applies a callback on all of the parsed root DOM nodes.
+     * The known adapters, in detection order (most recent GitLab UI generation first).
      */
-    parseHtml(html, callback) {
-      new DOMParser()
-        .parseFromString(html, "text/html")
-        .querySelector("body")
-        .childNodes.forEach(function (node) {
-          callback(node);
-        });
+    static get adapters() {
+      return [VueMarkupAdapter, HamlMarkupAdapter];
     }
 
     /**
-     * Prepends the given HTML string at the beginning of the given child target node.
+     * Returns an instance of the first adapter matching the current page, falling back to the oldest one.
      */
-    parseHtmlAndPrepend(targetNode, html) {
-      this.parseHtml(html, function (node) {
-        targetNode.prepend(node);
-      });
+    static detect() {
+      let adapters = MarkupAdapter.adapters;
+      let Adapter =
+        adapters.find(function (Adapter) {
+          return Adapter.matches();
+        }) || adapters[adapters.length - 1];
+
+      return new Adapter();
     }
 
     /**
-     * Appends the given HTML string at the end of the given child target node.
+     * Determines if the current page is rendered using the markup this adapter is handling.
      */
-    parseHtmlAndAppend(targetNode, html) {
-      this.parseHtml(html, function (node) {
-        targetNode.append(node);
-      });
+    static matches() {
+      return false;
     }
 
     /**
-     * Inserts the given HTML string before the given child target node.
+     * The selectors used to find the page and Merge Requests rows elements:
+     *
+     *   - `row`: a Merge Request row
+     *   - `reference`: the `!IID` or `group/project!IID` reference, in a row
+     *   - `link`: a link to the Merge Request, in a row
+     *   - `title`: the node holding the title, in a row
+     *   - `titleLink`: the link holding the title text, in a row
+     *   - `controls`: the list of controls (comments count, assignees, ...), in a row
+     *   - `info`: the secondary information line (reference, author, target branch...), in a row
+     *   - `targetBranch`: the link to the target branch, in a row
+     *   - `listControls`: the controls above the list (new Merge Request button, ...)
+     *   - `userMenu`: an element only displayed to logged-in users
+     *   - `userProfileLink`: a link to the logged-in user profile
+     *   - `iconsSprite`: a `<use>` element referencing the SVG icons sprite
      */
-    parseHtmlAndInsertBefore(targetNode, html) {
-      this.parseHtml(html, function (node) {
-        targetNode.parentNode.insertBefore(node, targetNode);
-      });
+    get selectors() {
+      return {};
     }
 
     /**
-     * Actually updates the UI by altering the DOM by adding our stuff.
+     * Finds and returns the GitLab project ID whe're looking merge requests at.
      */
-    updateMergeRequestsNodes(mergeRequests) {
-      console.log(
-        "🔧 GitLab MR Enhancer: Updating",
-        mergeRequests.length,
-        "merge requests"
-      );
+    getCurrentProjectId() {
+      let body = document.querySelector("body");
 
-      mergeRequests.forEach(function (mergeRequest) {
-        console.log(
-          "🔧 GitLab MR Enhancer: Processing MR",
-          mergeRequest.iid,
-          "with branches:",
-          mergeRequest.source_branch,
-          "->",
-          mergeRequest.target_branch
-        );
+      if (!body || !("projectId" in body.dataset)) {
+        return null;
+      }
 
-        // Try multiple selectors to find the MR node
-        let mergeRequestNode = null;
-        const selectors = [
-          '.merge-request[data-qa-issue-id="' + mergeRequest.id + '"]',
-          '.merge-request[data-id="' + mergeRequest.id + '"]',
-          '.merge-request[data-iid="' + mergeRequest.iid + '"]',
-          '.merge-request:has(.issuable-reference:contains("!' +
-            mergeRequest.iid +
-            '"))',
-          ".merge-request",
-        ];
-
-        // Try each selector
-        for (let selector of selectors) {
-          if (selector.includes(":has") || selector.includes(":contains")) {
-            // For complex selectors, we need to manually check
-            const allMrNodes = document.querySelectorAll(".merge-request");
-            console.log(
-              "🔧 GitLab MR Enhancer: Found",
-              allMrNodes.length,
-              "MR nodes in DOM"
-            );
+      return body.dataset.projectId;
+    }
+
+    /**
+     * Get the current CSRF token that should be sent in any subsequent POST or PUT requests to the Gitlab API.
+     */
+    getCsrfToken() {
+      let meta = document.querySelector('meta[name="csrf-token"]');
+
+      return meta ? meta.getAttribute("content") : null;
+    }
+
+    /**
+     * Determines if the current user is logged-in to GitLab.
+     */
+    isUserAuthenticated() {
+      return document.querySelector(this.selectors.userMenu) ? true : false;
+    }
+
+    /**
+     * Returns the username of the logged-in user, or `null` if it can't be determined.
+     */
+    getCurrentUsername() {
+      // The super sidebar is given the current user along with its other settings
+      let sidebar = document.querySelector("#js-super-sidebar[data-sidebar]");
+
+      if (sidebar) {
+        try {
+          let username = JSON.parse(sidebar.dataset.sidebar).username;
+
+          if (username) {
+            return username;
+          }
+        } catch (e) {
+          // Falls back to the profile link
+        }
+      }
+
+      let profileLink = document.querySelector(this.selectors.userProfileLink);
+
+      // GitLab may be served under a relative URL: the username is the last path segment
+      return profileLink
+        ? profileLink.pathname.split("/").filter(Boolean).pop() || null
+        : null;
+    }
+
+    /**
+     * Returns the URL to the SVG icons sprite, as referenced in the page (it may be relative), or `null`.
+     */
+    getIconsSpriteUrl() {
+      let svgUse = document.querySelector(this.selectors.iconsSprite);
+
+      return svgUse && svgUse.href.baseVal ? svgUse.href.baseVal : null;
+    }
+
+    /**
+     * Returns the controls above the Merge Requests list.
+     */
+    getListControlsNode() {
+      return document.querySelector(this.selectors.listControls);
+    }
+
+    /**
+     * Returns the reference node of the given Merge Request row.
+     */
+    getReferenceNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.reference);
+    }
+
+    /**
+     * Returns the first link to a Merge Request of the given Merge Request row.
+     */
+    getLinkNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.link);
+    }
+
+    /**
+     * Returns the node holding the title of the given Merge Request row.
+     */
+    getTitleNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.title);
+    }
+
+    /**
+     * Returns the link holding the title text of the given Merge Request row.
+     */
+    getTitleLinkNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.titleLink);
+    }
+
+    /**
+     * Returns the list of controls (comments count, assignees, ...) of the given Merge Request row.
+     */
+    getControlsNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.controls);
+    }
+
+    /**
+     * Returns the secondary information line of the given Merge Request row.
+     */
+    getInfoNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.info);
+    }
+
+    /**
+     * Returns the link to the target branch of the given Merge Request row, if GitLab displays it.
+     */
+    getTargetBranchNode(mergeRequestNode) {
+      return mergeRequestNode.querySelector(this.selectors.targetBranch);
+    }
+  }
+
+  class HamlMarkupAdapter extends MarkupAdapter {
+    /**
+     * Handles GitLab's legacy server-rendered (HAML) Merge Requests lists. Matches as soon as such a row is displayed.
+     */
+    static matches() {
+      return document.querySelector(".merge-request") ? true : false;
+    }
+
+    get selectors() {
+      return {
+        row: ".merge-request",
+        reference: ".issuable-reference",
+        link: 'a[href*="/-/merge_requests/"]',
+        title: ".merge-request-title, .issue-title, .issuable-main-info .title",
+        titleLink: ".merge-request-title-text a",
+        controls: ".issuable-meta .controls, .issuable-meta ul",
+        info: ".issuable-info",
+        targetBranch: ".issuable-info .project-ref-path",
+        listControls: ".top-area .nav-controls, .nav-controls",
+        // These lists were still rendered by GitLab releases having the super sidebar
+        userMenu: '.navbar-nav .header-user, [data-testid="user-dropdown"]',
+        userProfileLink: ".header-user-dropdown-toggle",
+        iconsSprite: "svg.s16 > use, svg.gl-icon > use",
+      };
+    }
+  }
+
+  class VueMarkupAdapter extends MarkupAdapter {
+    /**
+     * Handles GitLab's newer Merge Requests lists rendered by Vue (GitLab UI components), along with the super
+     * sidebar. Matches as soon as such a row is displayed.
+     */
+    static matches() {
+      return document.querySelector(
+        '[data-testid="merge-request-item"], .gl-list-item a[href*="/-/merge_requests/"]'
+      )
+        ? true
+        : false;
+    }
+
+    get selectors() {
+      return {
+        row: '[data-testid="merge-request-item"], .gl-list-item',
+        reference: '.issuable-reference, [data-testid="issuable-reference"]',
+        link: 'a[href*="/-/merge_requests/"]',
+        title: '.issue-title, [data-testid="issuable-title"]',
+        titleLink: '.issue-title a, [data-testid="issuable-title-link"]',
+        controls: ".issuable-meta .controls, .issuable-meta ul",
+        info: ".issuable-info",
+        targetBranch:
+          '.issuable-info [data-testid="target-branch"], .issuable-info .project-ref-path',
+        listControls: ".top-area .nav-controls, .nav-controls",
+        userMenu: '[data-testid="user-dropdown"], .navbar-nav .header-user',
+        userProfileLink: ".header-user-dropdown-toggle",
+        iconsSprite: "svg.gl-icon > use, svg.s16 > use",
+      };
+    }
+  }
+
+  class MergeRequestRowResolver {
+    /**
+     * Maps the Merge Requests rows currently displayed to the Merge Request they display, rows being found using the
+     * given markup adapter. The given project ID is used for rows only displaying `!IID` references (project lists).
+     */
+    constructor(markupAdapter, currentProjectId) {
+      this.markupAdapter = markupAdapter;
+      this.currentProjectId = currentProjectId;
+    }
+
+    /**
+     * Returns every Merge Request row currently displayed, split between the ones that could be resolved (as
+     * `{node, reference}`, see `resolveReference`) and the ones that couldn't (as DOM nodes).
+     */
+    resolveRows() {
+      let rows = { resolved: [], unresolved: [] };
+
+      this.getRowNodes().forEach(function (rowNode) {
+        let reference = this.resolveReference(rowNode);
+
+        if (reference) {
+          rows.resolved.push({ node: rowNode, reference: reference });
+        } else {
+          rows.unresolved.push(rowNode);
+        }
+      }, this);
+
+      return rows;
+    }
+
+    /**
+     * Gets all Merge Requests rows that are currently displayed: rows holding a Merge Request reference or link.
+     */
+    getRowNodes() {
+      let rowNodes = [];
+      let selectors = this.markupAdapter.selectors;
+
+      document
+        .querySelectorAll(selectors.reference + ", " + selectors.link)
+        .forEach(function (node) {
+          let rowNode = node.closest(selectors.row);
+
+          // Rows nested in another row (e.g. related Merge Requests) are part of it
+          while (rowNode && rowNode.parentNode.closest(selectors.row)) {
+            rowNode = rowNode.parentNode.closest(selectors.row);
+          }
+
+          if (rowNode && !rowNodes.includes(rowNode)) {
+            rowNodes.push(rowNode);
+          }
+        }, this);
+
+      return rowNodes;
+    }
+
+    /**
+     * Returns which Merge Request is displayed in the given row: the project it belongs to (ID or full path), its
+     * IID and a key uniquely identifying it across projects. Returns `null` if it can't be determined, or if the
+     * row's link and reference disagree.
+     */
+    resolveReference(rowNode) {
+      let fromLink = this.resolveReferenceFromLink(rowNode);
+      let fromReference = this.resolveReferenceFromReferenceText(rowNode);
+
+      if (fromLink && fromReference && fromLink.iid != fromReference.iid) {
+        return null;
+      }
+
+      // The link is the most reliable source as it always contains the full project path
+      let reference = fromLink || fromReference;
+
+      if (!reference || !reference.projectId) {
+        return null;
+      }
+
+      reference.key = reference.projectId + "!" + reference.iid;
+
+      return reference;
+    }
+
+    /**
+     * Extracts the project path and the IID from the first link to a Merge Request of the given row.
+     */
+    resolveReferenceFromLink(rowNode) {
+      let linkNode = this.markupAdapter.getLinkNode(rowNode);
+
+      if (!linkNode) {
+        return null;
+      }
+
+      let results = /^\/(.+?)\/-\/merge_requests\/(\d+)/.exec(
+        new URL(linkNode.getAttribute("href"), location.href).pathname
+      );
+
+      return results
+        ? { projectId: decodeURIComponent(results[1]), iid: results[2] }
+        : null;
+    }
+
+    /**
+     * Extracts the project path and the IID from the reference of the given row: `!123` on project lists (the
+     * current project being used), `group/project!123` on other lists.
+     */
+    resolveReferenceFromReferenceText(rowNode) {
+      let referenceNode = this.markupAdapter.getReferenceNode(rowNode);
+      let results = referenceNode
+        ? /([^\s!]*)!(\d+)/.exec(referenceNode.textContent)
+        : null;
+
+      return results
+        ? { projectId: results[1] || this.currentProjectId, iid: results[2] }
+        : null;
+    }
+  }
+
+  class GitLabApiClient {
+    /**
+     * The GitLab API client used by the extension. No tokens or authentication needed as every requests are
+     * performed from inside the context of the page (GitLab allows API calls if they comes from the site).
+     *
+     * If a cache is given, GET responses are stored in it and revalidated using their ETag. The latest requests are
+     * kept, along with their status and duration, for diagnostics purposes.
+     *
+     * Failed requests are passed to `onRequestError`, if defined, along with a function retrying them (unless they
+     * report their errors themselves, e.g. batches). It must return a promise, which the request promise then
+     * settles with.
+     *
+     * Requests are sent through a queue limiting how many are sent at once (`maxConcurrentRequests`) and honouring
+     * GitLab rate limits.
+     */
+    constructor(baseUrl, csrfToken, cache = null, logger = new Logger()) {
+      this.baseUrl = baseUrl;
+      this.csrfToken = csrfToken;
+      this.cache = cache;
+      this.logger = logger;
+      this.requestsLog = [];
+      this.maxRequestsLogEntries = 100;
+      this.onRequestError = null;
+      this.maxConcurrentRequests = 6;
+      this.maxRetries = 3;
+      this.retryBaseDelay = 1000;
+      this.maxDiffStatsPages = 3;
+      this.queue = [];
+      this.activeRequests = 0;
+      this.pausedUntil = 0;
+      this.queueTimeoutId = null;
+      this.rateLimitRemaining = null;
+      this.inFlightRequests = new Map();
+    }
+
+    /**
+     * Returns the full URL to the given GitLab API endpoint.
+     */
+    createEndpointUrl(endpoint, queryStringParameters = null) {
+      let endpointUrl = new URL(this.baseUrl + endpoint);
+
+      if (queryStringParameters) {
+        queryStringParameters.forEach(function (queryStringParameter) {
+          endpointUrl.searchParams.append(
+            queryStringParameter[0],
+            queryStringParameter[1]
+          );
+        });
+      }
+
+      return endpointUrl.toString();
+    }
+
+    /**
+     * Sends an HTTP request to the GitLab API. Requests are queued (see `enqueue`), and identical GET requests in
+     * progress are shared.
+     *
+     * GET requests go through the cache, if any: a cached response is revalidated with its ETag (a `304 Not
+     * Modified` response resolving with the cached data), and passed to the given callback as soon as it's read so
+     * it can be rendered before the fresh response arrives.
+     *
+     * Errors aren't passed to `onRequestError` if `reportErrors` is false. Responses aren't cached if
+     * `cacheResponse` is false (e.g. large responses only used to compute figures, which are cached instead).
+     */
+    sendRequest(
+      method,
+      endpoint,
+      queryStringParameters = null,
+      data = null,
+      onCachedData = null,
+      reportErrors = true,
+      cacheResponse = true
+    ) {
+      let self = this;
+      let headers = {};
+      let body = null;
+
+      if (["post", "put", "patch"].includes(method.toLowerCase())) {
+        if (!this.csrfToken) {
+          this.logger.error(
+            "Cannot issue POST/PUT/PATCH requests without CSRF token"
+          );
+
+          return;
+        }
+
+        headers["X-CSRF-Token"] = this.csrfToken;
+      }
+
+      if (data) {
+        headers["Content-Type"] = "application/json";
+
+        body = JSON.stringify(data);
+      }
+
+      let url = this.createEndpointUrl(endpoint, queryStringParameters);
+      let fetchPromise;
+
+      // Only the first of identical requests is given the cached data, if any
+      if (method.toUpperCase() == "GET" && this.inFlightRequests.has(url)) {
+        fetchPromise = this.inFlightRequests.get(url);
+      } else {
+        fetchPromise = this.fetchData(
+          method,
+          endpoint,
+          url,
+          headers,
+          body,
+          onCachedData,
+          cacheResponse
+        );
+
+        if (method.toUpperCase() == "GET") {
+          let forgetRequest = function () {
+            self.inFlightRequests.delete(url);
+          };
+
+          this.inFlightRequests.set(url, fetchPromise);
+
+          fetchPromise.then(forgetRequest, forgetRequest);
+        }
+      }
+
+      return fetchPromise.catch(function (err) {
+        self.logger.error("Got error from GitLab:", err);
+
+        if (!reportErrors || !self.onRequestError) {
+          return Promise.reject(err);
+        }
+
+        return self.onRequestError(err, function () {
+          return self.sendRequest(
+            method,
+            endpoint,
+            queryStringParameters,
+            data,
+            onCachedData,
+            reportErrors,
+            cacheResponse
+          );
+        });
+      });
+    }
+
+    /**
+     * Sends an HTTP request to the GitLab API through the cache, if any (see `sendRequest`), resolving with the
+     * response data or rejecting with the `Response` if it isn't successful.
+     */
+    fetchData(
+      method,
+      endpoint,
+      url,
+      headers,
+      body,
+      onCachedData,
+      cacheResponse = true
+    ) {
+      let self = this;
+      let cacheable =
+        this.cache && cacheResponse && method.toUpperCase() == "GET";
+
+      return (cacheable
+        ? this.cache.get(url)
+        : Promise.resolve(null)
+      ).then(function (cachedEntry) {
+        if (cachedEntry) {
+          if (cachedEntry.etag) {
+            headers["If-None-Match"] = cachedEntry.etag;
+          }
+
+          if (onCachedData) {
+            onCachedData(cachedEntry.data);
+          }
+        }
+
+        return self
+          .fetchWithRetries(endpoint, url, {
+            method: method,
+            headers: headers,
+            body: body,
+            credentials: "same-origin",
+          })
+          .then(function (response) {
+            if (response.status == 304 && cachedEntry) {
+              // Refreshes the entry age
+              self.cache.set(url, cachedEntry.etag, cachedEntry.data);
+
+              return cachedEntry.data;
+            } else if (response.ok) {
+              return response.json().then(function (responseData) {
+                if (cacheable) {
+                  self.cache.set(
+                    url,
+                    response.headers.get("ETag"),
+                    responseData
+                  );
+                }
+
+                return responseData;
+              });
+            } else {
+              return Promise.reject(response);
+            }
+          });
+      });
+    }
+
+    /**
+     * Queues then sends the given request, retrying it after the delay GitLab asked for or with an exponential
+     * backoff if GitLab is limiting requests (429) or failing (5xx, GET requests only as others may have been
+     * processed). Resolves with the last response.
+     */
+    fetchWithRetries(endpoint, url, options, attempt = 0) {
+      let self = this;
+
+      return this.enqueue(function () {
+        let startedAt = performance.now();
+
+        return fetch(url, options).then(
+          function (response) {
+            self.logRequest(
+              options.method,
+              endpoint,
+              response.status,
+              startedAt
+            );
+            self.updateRateLimit(response);
+
+            return response;
+          },
+          function (error) {
+            self.logRequest(options.method, endpoint, null, startedAt);
+
+            return Promise.reject(error);
+          }
+        );
+      }).then(function (response) {
+        let retryable =
+          response.status == 429 ||
+          (response.status >= 500 && options.method.toUpperCase() == "GET");
+
+        if (!retryable || attempt >= self.maxRetries) {
+          return response;
+        }
+
+        let delay = self.getRetryDelay(response, attempt);
+
+        self.logger.info("Retrying", endpoint, "in", delay, "ms");
+
+        return new Promise(function (resolve) {
+          setTimeout(resolve, delay);
+        }).then(function () {
+          return self.fetchWithRetries(endpoint, url, options, attempt + 1);
+        });
+      });
+    }
+
+    /**
+     * Adds the given request (a function sending it and returning a promise) to the queue, resolving or rejecting
+     * as the request does once it was sent. At most `maxConcurrentRequests` requests are sent at once, less if the
+     * GitLab rate limit is about to be reached.
+     */
+    enqueue(sendRequestCallback) {
+      let self = this;
+
+      return new Promise(function (resolve, reject) {
+        self.queue.push({
+          send: sendRequestCallback,
+          resolve: resolve,
+          reject: reject,
+        });
+
+        self.processQueue();
+      });
+    }
+
+    /**
+     * Sends as many queued requests as allowed, or waits until GitLab allows requests again.
+     */
+    processQueue() {
+      let self = this;
+      let pauseDuration = this.pausedUntil - Date.now();
+
+      if (pauseDuration > 0) {
+        if (!this.queueTimeoutId) {
+          this.queueTimeoutId = setTimeout(function () {
+            self.queueTimeoutId = null;
+            self.rateLimitRemaining = null;
+
+            self.processQueue();
+          }, pauseDuration);
+        }
+
+        return;
+      }
+
+      let maxConcurrentRequests =
+        this.rateLimitRemaining === null
+          ? this.maxConcurrentRequests
+          : Math.max(
+              1,
+              Math.min(this.maxConcurrentRequests, this.rateLimitRemaining)
+            );
+
+      while (
+        this.queue.length > 0 &&
+        this.activeRequests < maxConcurrentRequests
+      ) {
+        let request = this.queue.shift();
+
+        this.activeRequests++;
+
+        request
+          .send()
+          .then(request.resolve, request.reject)
+          .finally(function () {
+            self.activeRequests--;
+
+            self.processQueue();
+          });
+      }
+    }
+
+    /**
+     * Reads GitLab rate limit headers from the given response, pausing the queue if no more requests are allowed
+     * for now.
+     */
+    updateRateLimit(response) {
+      let remaining = parseInt(response.headers.get("RateLimit-Remaining"), 10);
+      let retryAfterDelay = this.getRetryAfterDelay(response);
+      let pausedUntil = 0;
+
+      if (!isNaN(remaining)) {
+        this.rateLimitRemaining = remaining;
+      }
+
+      if (retryAfterDelay !== null) {
+        pausedUntil = Date.now() + retryAfterDelay;
+      } else if (remaining <= 0) {
+        let reset = parseInt(response.headers.get("RateLimit-Reset"), 10);
+
+        pausedUntil = isNaN(reset) ? Date.now() + 1000 : reset * 1000;
+      }
+
+      if (pausedUntil > this.pausedUntil) {
+        this.pausedUntil = pausedUntil;
+
+        this.logger.warn(
+          "GitLab rate limit reached, pausing requests until",
+          new Date(pausedUntil).toISOString()
+        );
+      }
+    }
+
+    /**
+     * Returns how long (in milliseconds) to wait before retrying the request of the given response: the delay GitLab
+     * asked for, or an exponential backoff based on the number of attempts already made (with some jitter so
+     * failed requests aren't all retried at once).
+     */
+    getRetryDelay(response, attempt) {
+      let retryAfterDelay = this.getRetryAfterDelay(response);
+
+      if (retryAfterDelay !== null) {
+        return retryAfterDelay;
+      }
+
+      return (
+        this.retryBaseDelay * Math.pow(2, attempt) +
+        Math.round(Math.random() * this.retryBaseDelay)
+      );
+    }
+
+    /**
+     * Returns the delay (in milliseconds) defined by the `Retry-After` header of the given response (either a number
+     * of seconds or a date), or `null` if there's none.
+     */
+    getRetryAfterDelay(response) {
+      let retryAfter = response.headers.get("Retry-After");
+
+      if (!retryAfter) {
+        return null;
+      }
+
+      let delay = /^\d+$/.test(retryAfter.trim())
+        ? parseInt(retryAfter, 10) * 1000
+        : Date.parse(retryAfter) - Date.now();
+
+      return isNaN(delay) ? null : Math.max(0, delay);
+    }
+
+    /**
+     * Keeps track of a request that just completed (the status is `null` if the network request itself failed).
+     */
+    logRequest(method, endpoint, status, startedAt) {
+      let entry = {
+        time: new Date().toISOString(),
+        method: method.toUpperCase(),
+        endpoint: endpoint,
+        status: status,
+        duration: Math.round(performance.now() - startedAt),
+      };
+
+      this.requestsLog.push(entry);
+
+      if (this.requestsLog.length > this.maxRequestsLogEntries) {
+        this.requestsLog.shift();
+      }
+
+      this.logger[status && status < 400 ? "debug" : "warn"](
+        entry.method,
+        entry.endpoint,
+        "→",
+        status || "network error",
+        "in",
+        entry.duration,
+        "ms"
+      );
+    }
+
+    /**
+     * Sends GET requests to the given endpoint until all the pages of results (or `maxPages` of them) were fetched,
+     * then resolves with all the results. The given callback is called with the cached results, if any, when they
+     * fit in a single page.
+     */
+    sendPaginatedRequest(
+      endpoint,
+      queryStringParameters = [],
+      perPage = 100,
+      cacheResponses = true,
+      maxPages = Infinity,
+      onCachedData = null
+    ) {
+      let self = this;
+      let results = [];
+
+      let fetchPage = function (page) {
+        return self
+          .sendRequest(
+            "GET",
+            endpoint,
+            queryStringParameters.concat([
+              ["per_page", perPage],
+              ["page", page],
+            ]),
+            null,
+            page == 1 && onCachedData
+              ? function (cachedResults) {
+                  if (cachedResults.length < perPage) {
+                    onCachedData(cachedResults);
+                  }
+                }
+              : null,
+            true,
+            cacheResponses
+          )
+          .then(function (pageResults) {
+            results = results.concat(pageResults);
+
+            return pageResults.length == perPage && page < maxPages
+              ? fetchPage(page + 1)
+              : results;
+          });
+      };
+
+      return fetchPage(1);
+    }
+
+    /**
+     * Calls the given callback (which must send a request and return its promise) for every given item, with no
+     * more than `concurrency` requests being sent at the same time. Resolves with the outcome of every request, in
+     * the same order as the given items. A callback not returning a promise counts as a failed request.
+     *
+     * Requests should be sent without reporting their errors, as the caller reports the outcome of all of them at
+     * once.
+     */
+    sendBatchRequests(items, sendRequestCallback, concurrency = 4) {
+      let results = new Array(items.length);
+      let nextIndex = 0;
+
+      let sendNextRequest = function () {
+        if (nextIndex >= items.length) {
+          return Promise.resolve();
+        }
+
+        let index = nextIndex++;
+
+        return Promise.resolve()
+          .then(function () {
+            let requestPromise = sendRequestCallback(items[index]);
+
+            // E.g. `sendRequest` doesn't send anything without CSRF token
+            if (!requestPromise) {
+              return Promise.reject(new Error("Request not sent"));
+            }
+
+            return requestPromise;
+          })
+          .then(
+            function (value) {
+              results[index] = { item: items[index], ok: true, value: value };
+            },
+            function (error) {
+              results[index] = { item: items[index], ok: false, error: error };
+            }
+          )
+          .then(sendNextRequest);
+      };
+
+      let workers = [];
+
+      for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(sendNextRequest());
+      }
+
+      return Promise.all(workers).then(function () {
+        return results;
+      });
+    }
+
+    /**
+     * Fetch the number of lines added and removed and the number of files changed by the given Merge Request ID in
+     * the given project ID, by going through the first pages (see `maxDiffStatsPages`) of its diffs.
+     *
+     * Stats are flagged as `incomplete` (the actual figures being higher) if not all the diffs were fetched, or if
+     * some of them were too large to be returned by GitLab.
+     *
+     * As they only depend on the given head and base commits SHA of the Merge Request, the stats are cached by
+     * Merge Request and SHAs (instead of the diffs themselves, which may be huge) and aren't fetched again while
+     * cached.
+     */
+    getProjectMergeRequestDiffStats(
+      projectId,
+      mergeRequestId,
+      headSha,
+      baseSha = null
+    ) {
+      let self = this;
+      let perPage = 100;
+      let cacheKey =
+        "diff-stats:" +
+        projectId +
+        "!" +
+        mergeRequestId +
+        ":" +
+        (baseSha || "") +
+        ".." +
+        headSha;
+
+      return (this.cache
+        ? this.cache.get(cacheKey)
+        : Promise.resolve(null)
+      ).then(function (cachedEntry) {
+        if (cachedEntry) {
+          return cachedEntry.data;
+        }
+
+        return self
+          .sendPaginatedRequest(
+            "projects/" +
+              encodeURIComponent(projectId) +
+              "/merge_requests/" +
+              mergeRequestId +
+              "/diffs",
+            [],
+            perPage,
+            false,
+            self.maxDiffStatsPages
+          )
+          .then(function (diffs) {
+            let stats = {
+              additions: 0,
+              deletions: 0,
+              files: diffs.length,
+              incomplete: diffs.length >= perPage * self.maxDiffStatsPages,
+            };
+
+            diffs.forEach(function (diff) {
+              if (!diff.diff && (diff.too_large || diff.collapsed)) {
+                stats.incomplete = true;
+
+                return;
+              }
+
+              // Diffs are unified diffs without files headers
+              (diff.diff || "").split("\n").forEach(function (line) {
+                if (line.startsWith("+")) {
+                  stats.additions++;
+                } else if (line.startsWith("-")) {
+                  stats.deletions++;
+                }
+              });
+            });
+
+            if (self.cache) {
+              self.cache.set(cacheKey, null, stats);
+            }
+
+            return stats;
+          });
+      });
+    }
+
+    /**
+     * Fetch all the discussions (threads and individual comments) of the given Merge Request ID in the given project
+     * ID. The given callback is called with the cached discussions, if any, before fresh ones are fetched.
+     */
+    getProjectMergeRequestDiscussions(
+      projectId,
+      mergeRequestId,
+      onCachedData = null
+    ) {
+      return this.sendPaginatedRequest(
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId +
+          "/discussions",
+        [],
+        100,
+        true,
+        Infinity,
+        onCachedData
+      );
+    }
+
+    /**
+     * Fetch the currently authenticated user.
+     */
+    getCurrentUser() {
+      return this.sendRequest("GET", "user");
+    }
+
+    /**
+     * Fetch users matching exactly the given username.
+     */
+    getUsersByUsername(username) {
+      return this.sendRequest("GET", "users", [["username", username]]);
+    }
+
+    /**
+     * Fetch details about the given Merge Requests IDs in the given project ID. The given callback is called with the
+     * cached details, if any, before fresh ones are fetched.
+     */
+    getProjectMergeRequests(projectId, mergeRequestIds, onCachedData = null) {
+      let queryStringParameters = mergeRequestIds.map(function (
+        mergeRequestId
+      ) {
+        return ["iids[]", mergeRequestId];
+      });
+
+      return this.sendRequest(
+        "GET",
+        "projects/" + encodeURIComponent(projectId) + "/merge_requests",
+        queryStringParameters,
+        null,
+        onCachedData
+      );
+    }
+
+    /**
+     * Fetch details about the given Merge Request ID in the given project ID, including its head pipeline and the
+     * number of commits it is behind its target branch. The given callback is called with the cached details, if
+     * any, before fresh ones are fetched.
+     */
+    getProjectMergeRequest(projectId, mergeRequestId, onCachedData = null) {
+      return this.sendRequest(
+        "GET",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId,
+        [["include_diverged_commits_count", "true"]],
+        null,
+        onCachedData
+      );
+    }
+
+    /**
+     * Fetch the approvals status of the given Merge Request ID in the given project ID. The given callback is called
+     * with the cached approvals status, if any, before the fresh one is fetched.
+     */
+    getProjectMergeRequestApprovals(
+      projectId,
+      mergeRequestId,
+      onCachedData = null
+    ) {
+      return this.sendRequest(
+        "GET",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId +
+          "/approvals",
+        null,
+        null,
+        onCachedData
+      );
+    }
+
+    /**
+     * Fetch all jobs of the given pipeline ID in the given project ID. The given callback is called with the cached
+     * jobs, if any, before fresh ones are fetched.
+     */
+    getProjectPipelineJobs(projectId, pipelineId, onCachedData = null) {
+      return this.sendRequest(
+        "GET",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/pipelines/" +
+          pipelineId +
+          "/jobs",
+        [["per_page", 100]],
+        null,
+        onCachedData
+      );
+    }
+
+    /**
+     * Fetch the given branch of the given project ID, including whether the current user can push to it. Errors
+     * aren't reported.
+     */
+    getProjectBranch(projectId, branchName) {
+      return this.sendRequest(
+        "GET",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/repository/branches/" +
+          encodeURIComponent(branchName),
+        null,
+        null,
+        null,
+        false
+      );
+    }
+
+    /**
+     * Update the given Merge Request Id in the given project ID. Failures aren't reported to the user if
+     * `reportErrors` is false.
+     */
+    updateProjectMergeRequest(
+      projectId,
+      mergeRequestId,
+      data,
+      reportErrors = true
+    ) {
+      return this.sendRequest(
+        "PUT",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId,
+        null,
+        data,
+        null,
+        reportErrors
+      );
+    }
+
+    /**
+     * Rebase the source branch of the given Merge Request ID in the given project ID onto its target branch.
+     */
+    rebaseProjectMergeRequest(projectId, mergeRequestId) {
+      return this.sendRequest(
+        "PUT",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId +
+          "/rebase"
+      );
+    }
+
+    /**
+     * Merge the given Merge Request ID in the given project ID.
+     */
+    mergeProjectMergeRequest(projectId, mergeRequestId, data) {
+      return this.sendRequest(
+        "PUT",
+        "projects/" +
+          encodeURIComponent(projectId) +
+          "/merge_requests/" +
+          mergeRequestId +
+          "/merge",
+        null,
+        data
+      );
+    }
+  }
+
+  class ContentScript {
+    /**
+     * The content script of the extension which is executed in the context of the page.
+     */
+    constructor() {
+      let self = this;
+
+      // Silent until the level defined in preferences is known
+      this.logger = new Logger();
+      this.logger.info("Starting on", location.href);
+      this.notifier = new Notifier();
+
+      this.baseUrl = location.protocol + "//" + location.host;
+      this.templateRenderer = new globals.Gmrle.TemplateRenderer();
+
+      this.markupAdapter = MarkupAdapter.detect();
+      this.logger.debug("Markup adapter:", this.markupAdapter.constructor.name);
+
+      this.currentProjectId = this.markupAdapter.getCurrentProjectId();
+      this.logger.debug("Project ID:", this.currentProjectId);
+
+      let preferencesManager = new globals.Gmrle.PreferencesManager(
+        this.logger,
+        function (message) {
+          self.notifier.show(message + ".");
+        }
+      );
+
+      // Use the preferences profile specific to this GitLab instance, if any
+      let preferencesPromise = preferencesManager
+        .getAll(location.host)
+        .then(function (preferences) {
+          self.preferences = preferences;
+          self.logger.setLevel(preferences.log_level);
+          self.logger.debug("Preferences loaded:", preferences);
+
+          // Also available if the extension aborts, as that's when it's the most useful
+          if (preferences.enable_diagnostics_panel) {
+            self.createDiagnosticsPanelToggle();
+          }
+
+          return true;
+        })
+        .catch(function () {
+          // Already reported to the user by the preferences manager
+          return false;
+        });
+
+      // There's no current project on group and dashboard Merge Requests lists: each row tells which project it
+      // belongs to
+      if (!this.currentProjectId && !this.isMultiProjectMergeRequestsList()) {
+        this.logger.info("Aborting: current project ID cannot be found");
+        return;
+      }
+
+      this.rowResolver = new MergeRequestRowResolver(
+        this.markupAdapter,
+        this.currentProjectId
+      );
+
+      this.baseApiUrl = this.baseUrl + "/api/v4/";
+      this.baseIconsUrl = this.getBaseIconsUrl();
+      this.userAuthenticated = this.markupAdapter.isUserAuthenticated();
+
+      let currentUsername = this.userAuthenticated
+        ? this.markupAdapter.getCurrentUsername()
+        : null;
+
+      // Responses are cached per user, and not at all for logged-out users (or if the user can't be determined) so
+      // they can never see what a previously logged-in user could
+      this.apiClient = new GitLabApiClient(
+        this.baseApiUrl,
+        this.markupAdapter.getCsrfToken(),
+        currentUsername
+          ? new ApiResponseCache(86400000, currentUsername, this.logger)
+          : null,
+        this.logger
+      );
+      this.apiClient.onRequestError = function (error, retry) {
+        return self.notifyRequestError(error, retry);
+      };
+
+      preferencesPromise.then(function (preferencesLoaded) {
+        // Nothing can be done without preferences
+        if (!preferencesLoaded) {
+          return;
+        }
+
+        self.apiClient.maxConcurrentRequests =
+          self.preferences.max_concurrent_api_requests;
+
+        if (!self.userAuthenticated) {
+          self.warnLoggedOutUserIfNecessary();
+        }
+
+        self.mergeRequestsDetails = {};
+        self.pendingMergeRequestReferences = new Set();
+        self.diffStatsByVersion = {};
+
+        if (self.preferences.enable_bulk_actions) {
+          self.createBulkActionsToolbar();
+        }
+
+        if (self.preferences.enable_button_to_copy_mr_info) {
+          self.attachClickEventToDocumentClosingCopyMergeRequestInfoMenus();
+        }
+
+        if (self.preferences.enable_unresolved_discussions_indicator) {
+          // The popover listing threads is shown when hovering the indicator
+          self.addStyleSheet(
+            ".gmrle-discussions-popover { display: none; } .gmrle-unresolved-discussions:hover .gmrle-discussions-popover { display: block; }"
+          );
+        }
+
+        if (
+          self.userAuthenticated &&
+          self.preferences.enable_review_queue_overlay
+        ) {
+          self.initializeReviewQueueOverlay();
+        }
+
+        if (
+          self.preferences.enable_staleness_indicators &&
+          self.preferences.staleness_list_order != "default"
+        ) {
+          // Rows are reordered using the CSS `order` property so GitLab's own DOM manipulations aren't disturbed
+          self.addStyleSheet(
+            ".gmrle-staleness-ordered { display: flex !important; flex-direction: column; }"
+          );
+        }
+
+        self.processMergeRequestsList();
+        self.observeMergeRequestsList();
+
+        if (
+          self.preferences.enable_pipeline_status_indicator &&
+          self.preferences.pipeline_status_refresh_interval > 0
+        ) {
+          self.pollRunningPipelinesStatus();
+        }
+      });
+    }
+
+    /**
+     * Determines if we're looking at a Merge Requests list that spans multiple projects (group or dashboard).
+     */
+    isMultiProjectMergeRequestsList() {
+      return /^\/(groups\/.+|dashboard)\/(-\/)?merge_requests\/?$/.test(
+        location.pathname
+      );
+    }
+
+    /**
+     * Return the base URL to the SVG icons file.
+     */
+    getBaseIconsUrl() {
+      let url = this.markupAdapter.getIconsSpriteUrl();
+
+      if (!url) {
+        return null;
+      }
+
+      if (url.startsWith("/")) {
+        url = this.baseUrl + url;
+      }
+
+      let parsedUrl = new URL(url);
+
+      return (
+        parsedUrl.protocol + "//" + parsedUrl.host + "/" + parsedUrl.pathname
+      );
+    }
+
+    /**
+     * Tells the user why a request to the GitLab API failed, allowing to retry it. Returns a promise settling with
+     * the retried request, or rejecting with the given error if the notification is dismissed.
+     */
+    notifyRequestError(error, retry) {
+      let self = this;
+
+      return new Promise(function (resolve, reject) {
+        // Failures having the same cause are retried all at once
+        self.notifier.show(self.getReadableRequestErrorMessage(error), {
+          key:
+            "request-error-" +
+            (error instanceof Response ? error.status : "network"),
+          actionLabel: "Retry",
+          onAction: function () {
+            resolve(retry());
+          },
+          onDismiss: function () {
+            reject(error);
+          },
+        });
+      });
+    }
+
+    /**
+     * Explains the given GitLab API request failure (a `Response`, or the error thrown if the request couldn't be
+     * sent at all) in plain words.
+     */
+    getReadableRequestErrorMessage(error) {
+      if (!(error instanceof Response)) {
+        return "Unable to reach GitLab, check your network connection.";
+      }
+
+      let messages = {
+        401: "Your GitLab session expired, log in again then retry.",
+        403: "GitLab denied the request: you're not allowed to do that.",
+        404: "GitLab couldn't find what was requested: it may have been deleted or you may not have access to it.",
+        429: "GitLab is limiting the number of requests, wait a bit then retry.",
+      };
+
+      if (error.status in messages) {
+        return messages[error.status];
+      }
+
+      if (error.status >= 500) {
+        return (
+          "GitLab is having trouble (error " +
+          error.status +
+          "), retry in a moment."
+        );
+      }
+
+      return (
+        "GitLab rejected the request (error " +
+        error.status +
+        (error.statusText ? " " + error.statusText : "") +
+        ")."
+      );
+    }
+
+    /**
+     * Tells the user, once per browser session, that the features requiring to be logged-in are disabled (if any
+     * of them is enabled in preferences).
+     */
+    warnLoggedOutUserIfNecessary() {
+      let loggedInFeaturesEnabled = [
+        "enable_button_to_toggle_wip_status",
+        "enable_buttons_to_rebase_and_merge",
+        "enable_bulk_actions",
+        "enable_review_queue_overlay",
+      ].some(function (preference) {
+        return this.preferences[preference];
+      }, this);
+
+      if (
+        !loggedInFeaturesEnabled ||
+        sessionStorage.getItem("gmrle-logged-out-warning-shown")
+      ) {
+        return;
+      }
+
+      sessionStorage.setItem("gmrle-logged-out-warning-shown", "true");
+
+      this.notifier.show(
+        "You're logged-out from GitLab: toggling draft status, rebasing, merging, bulk updates and the review queue are disabled until you log in.",
+        { variant: "warning" }
+      );
+    }
+
+    /**
+     * Watches the DOM for Merge Requests rows that are added or replaced by GitLab (filters, tabs, pagination,
+     * sorting, ...) and enhances them as they appear.
+     */
+    observeMergeRequestsList() {
+      let self = this;
+      let timeoutId = null;
+
+      this.mergeRequestsListObserver = new MutationObserver(function () {
+        // Debounce as GitLab usually re-renders the list in many small mutations
+        clearTimeout(timeoutId);
+
+        timeoutId = setTimeout(function () {
+          self.processMergeRequestsList();
+        }, 250);
+      });
+
+      this.mergeRequestsListObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+      });
+    }
+
+    /**
+     * Finds all Merge Requests rows that aren't enhanced yet, then enhances the ones we already have details about
+     * and fetches details about the others. Rows which can't be mapped to a Merge Request are reported and left
+     * alone.
+     */
+    processMergeRequestsList() {
+      let mergeRequestIdsToFetchByProject = {};
+
+      // Vue lists are rendered after the page is loaded: the adapter detected at startup may have been a fallback
+      if (!this.markupAdapter.constructor.matches()) {
+        let markupAdapter = MarkupAdapter.detect();
+
+        if (markupAdapter.constructor !== this.markupAdapter.constructor) {
+          this.markupAdapter = markupAdapter;
+          this.rowResolver.markupAdapter = markupAdapter;
+        }
+      }
+
+      let rows = this.rowResolver.resolveRows();
+
+      rows.unresolved.forEach(function (mergeRequestNode) {
+        // Only reported once per row
+        if (!("gmrleUnresolved" in mergeRequestNode.dataset)) {
+          mergeRequestNode.dataset.gmrleUnresolved = "true";
+
+          this.logger.warn(
+            "Unable to determine which Merge Request this row displays, leaving it alone:",
+            mergeRequestNode
+          );
+        }
+      }, this);
+
+      rows.resolved.forEach(function (row) {
+        let mergeRequestNode = row.node;
+        let reference = row.reference;
+
+        delete mergeRequestNode.dataset.gmrleUnresolved;
+
+        if (mergeRequestNode.dataset.gmrleEnhancedReference == reference.key) {
+          return; // Already enhanced
+        }
+
+        if ("gmrleEnhancedReference" in mergeRequestNode.dataset) {
+          // GitLab reused this row for another Merge Request: what was rendered for the previous one must not stay
+          // until (or if) details about this one are available
+          this.resetMergeRequestNode(mergeRequestNode);
+        }
+
+        if (reference.key in this.mergeRequestsDetails) {
+          mergeRequestNode.dataset.gmrleEnhancedReference = reference.key;
+
+          this.updateMergeRequestNode(
+            mergeRequestNode,
+            this.mergeRequestsDetails[reference.key]
+          );
+        } else if (!this.pendingMergeRequestReferences.has(reference.key)) {
+          if (!(reference.projectId in mergeRequestIdsToFetchByProject)) {
+            mergeRequestIdsToFetchByProject[reference.projectId] = [];
+          }
+
+          if (
+            !mergeRequestIdsToFetchByProject[reference.projectId].includes(
+              reference.iid
+            )
+          ) {
+            mergeRequestIdsToFetchByProject[reference.projectId].push(
+              reference.iid
+            );
+          }
+        }
+      }, this);
+
+      Object.keys(mergeRequestIdsToFetchByProject).forEach(function (
+        projectId
+      ) {
+        this.fetchMergeRequestsDetailsThenUpdateUI(
+          projectId,
+          mergeRequestIdsToFetchByProject[projectId]
+        );
+      },
+      this);
+
+      if (
+        this.preferences.enable_staleness_indicators &&
+        this.preferences.staleness_list_order != "default"
+      ) {
+        this.updateStalenessOrder(
+          rows.resolved
+            .map(function (row) {
+              return row.node;
+            })
+            .concat(rows.unresolved)
+        );
+      }
+    }
+
+    /**
+     * Performs an HTTP GET request to the GitLab API to retrieve details about the given Merge Requests of the
+     * given project. If successful, it actually updates the UI by altering the DOM.
+     */
+    fetchMergeRequestsDetailsThenUpdateUI(projectId, mergeRequestIds) {
+      let self = this;
+
+      this.logger.debug(
+        "Fetching details of Merge Requests",
+        mergeRequestIds,
+        "of project",
+        projectId
+      );
+
+      mergeRequestIds.forEach(function (mergeRequestId) {
+        self.pendingMergeRequestReferences.add(
+          projectId + "!" + mergeRequestId
+        );
+      });
+
+      // Cached details are rendered right away, then rows are rendered again if fresh details differ
+      let storeMergeRequestsDetails = function (mergeRequests) {
+        // IDs GitLab didn't return anything about are left pending so they aren't fetched again
+        mergeRequests.forEach(function (mergeRequest) {
+          let key = projectId + "!" + mergeRequest.iid;
+          let knownMergeRequest = self.mergeRequestsDetails[key];
+
+          self.pendingMergeRequestReferences.delete(key);
+
+          if (
+            knownMergeRequest &&
+            knownMergeRequest.updated_at == mergeRequest.updated_at
+          ) {
+            return;
+          }
+
+          self.mergeRequestsDetails[key] = mergeRequest;
+
+          if (knownMergeRequest) {
+            self.getEnhancedMergeRequestNodes(key).forEach(function (
+              mergeRequestNode
+            ) {
+              self.resetMergeRequestNode(mergeRequestNode);
+            });
+          }
+        });
+
+        self.processMergeRequestsList();
+      };
+
+      this.apiClient
+        .getProjectMergeRequests(
+          projectId,
+          mergeRequestIds,
+          storeMergeRequestsDetails
+        )
+        .then(function (responseData) {
+          self.logger.debug(
+            "Received details of",
+            responseData.length,
+            "Merge Requests of project",
+            projectId
+          );
+
+          storeMergeRequestsDetails(responseData);
+        })
+        .catch(function (error) {
+          self.logger.error("Error fetching Merge Requests details:", error);
+
+          // So they are fetched again the next time the list is processed
+          mergeRequestIds.forEach(function (mergeRequestId) {
+            self.pendingMergeRequestReferences.delete(
+              projectId + "!" + mergeRequestId
+            );
+          });
+        });
+    }
+
+    /**
+     * Returns the Merge Requests rows currently enhanced with the Merge Request matching the given reference key.
+     */
+    getEnhancedMergeRequestNodes(referenceKey) {
+      return Array.from(
+        document.querySelectorAll(".gmrle-merge-request")
+      ).filter(function (mergeRequestNode) {
+        return mergeRequestNode.dataset.gmrleEnhancedReference == referenceKey;
+      });
+    }
+
+    /**
+     * Parses HTML code and applies a callback on all of the parsed root DOM nodes. Parsed elements are flagged so
+     * they can be removed if the Merge Request row they were injected in is later reused by GitLab.
+     */
+    parseHtml(html, callback) {
+      new DOMParser()
+        .parseFromString(html, "text/html")
+        .querySelector("body")
+        .childNodes.forEach(function (node) {
+          if (node.nodeType == Node.ELEMENT_NODE) {
+            node.classList.add("gmrle-injected");
+          }
+
+          callback(node);
+        });
+    }
+
+    /**
+     * Prepends the given HTML string at the beginning of the given child target node.
+     */
+    parseHtmlAndPrepend(targetNode, html) {
+      this.parseHtml(html, function (node) {
+        targetNode.prepend(node);
+      });
+    }
+
+    /**
+     * Appends the given HTML string at the end of the given child target node.
+     */
+    parseHtmlAndAppend(targetNode, html) {
+      this.parseHtml(html, function (node) {
+        targetNode.append(node);
+      });
+    }
+
+    /**
+     * Inserts the given HTML string before the given child target node.
+     */
+    parseHtmlAndInsertBefore(targetNode, html) {
+      this.parseHtml(html, function (node) {
+        targetNode.parentNode.insertBefore(node, targetNode);
+      });
+    }
+
+    /**
+     * Inserts the given HTML string after the given child target node.
+     */
+    parseHtmlAndInsertAfter(targetNode, html) {
+      let nextSibling = targetNode.nextSibling;
+
+      this.parseHtml(html, function (node) {
+        targetNode.parentNode.insertBefore(node, nextSibling);
+      });
+    }
+
+    /**
+     * Removes everything the extension may have injected in the given Merge Request row (elements, classes and data
+     * attributes), so it can be enhanced again from scratch.
+     */
+    resetMergeRequestNode(mergeRequestNode) {
+      mergeRequestNode
+        .querySelectorAll(".gmrle-injected")
+        .forEach(function (el) {
+          el.parentNode.removeChild(el);
+        });
+
+      mergeRequestNode.style.order = "";
+
+      mergeRequestNode.classList.remove(
+        "gmrle-needs-my-review",
+        "gmrle-assigned-to-me",
+        "gmrle-authored-by-me"
+      );
+
+      mergeRequestNode.classList.remove("gmrle-merge-request");
+
+      [
+        "gmrleEnhancedReference",
+        "projectId",
+        "title",
+        "iid",
+        "url",
+        "diffsUrl",
+        "authorName",
+        "status",
+        "sourceBranchName",
+        "targetBranchName",
+        "isDraft",
+        "ticketId",
+        "ticketUrl",
+        "pipelineStatus",
+      ].forEach(function (name) {
+        delete mergeRequestNode.dataset[name];
+      });
+    }
+
+    /**
+     * Actually updates the UI of the given Merge Request row by altering the DOM by adding our stuff.
+     */
+    updateMergeRequestNode(mergeRequestNode, mergeRequest) {
+      let self = this;
+
+      this.logger.debug(
+        "Enhancing Merge Request",
+        mergeRequest.iid,
+        "of project",
+        mergeRequest.project_id
+      );
+
+      mergeRequestNode.classList.add("gmrle-merge-request");
+
+      this.setDataAttributesToMergeRequestNode(mergeRequestNode, mergeRequest);
+
+      // -----------------------------------------------
+      // Toggle draft status button
+
+      if (
+        this.userAuthenticated &&
+        this.preferences.enable_button_to_toggle_wip_status
+      ) {
+        let controlsNode = this.markupAdapter.getControlsNode(mergeRequestNode);
+
+        if (controlsNode) {
+          this.parseHtmlAndPrepend(
+            controlsNode,
+            '<li class="d-none d-sm-inline-block gl-ml-3">' +
+              '<button class="btn btn-default btn-sm gl-button gmrle-toggle-draft-status" title="Toggle draft status">' +
+              "Toggle draft" +
+              "</button>" +
+              "</li>"
+          );
+        }
+      }
+
+      // -----------------------------------------------
+      // Bulk selection checkbox
+
+      if (this.preferences.enable_bulk_actions) {
+        let titleNode = this.markupAdapter.getTitleNode(mergeRequestNode);
+
+        if (titleNode) {
+          this.parseHtmlAndPrepend(
+            titleNode,
+            '<input type="checkbox" class="gl-mr-2 gmrle-bulk-select" title="Select for bulk actions">'
+          );
+
+          titleNode
+            .querySelector(".gmrle-bulk-select")
+            .addEventListener("change", function () {
+              self.updateBulkActionsToolbar();
+            });
+        }
+      }
+
+      // -----------------------------------------------
+      // Copy MR info button
+
+      if (
+        this.preferences.enable_button_to_copy_mr_info &&
+        this.preferences.copy_mr_info_templates.length > 0
+      ) {
+        let titleNode = this.markupAdapter.getTitleNode(mergeRequestNode);
+
+        if (titleNode) {
+          this.parseHtmlAndAppend(
+            titleNode,
+            this.buildCopyMergeRequestInfoButton()
+          );
+        }
+      }
+
+      // -----------------------------------------------
+      // Issue tracker links
+
+      if (this.preferences.enable_issue_tracker_links) {
+        let tickets = this.findIssueTrackerTickets(mergeRequest);
+
+        if (tickets.length > 0) {
+          // Only the first ticket found is available in the copied Merge Request info
+          mergeRequestNode.dataset.ticketId = tickets[0].id;
+          mergeRequestNode.dataset.ticketUrl = tickets[0].url;
+
+          let titleNode = this.markupAdapter.getTitleNode(mergeRequestNode);
+
+          if (titleNode) {
+            // Prepended in reverse order so they are displayed in the order they were found
+            tickets
+              .slice()
+              .reverse()
+              .forEach(function (ticket) {
+                let escapeHtml = this.templateRenderer.escapeHtml;
+                let ticketLinkLabel = null;
+
+                // Ticket IDs come from the Merge Request, issue trackers from (possibly imported) preferences
+                if (ticket.issueTracker.label_type == "icon") {
+                  ticketLinkLabel = this.buildSpriteIcon(
+                    escapeHtml(ticket.issueTracker.icon || "issues")
+                  );
+                } else {
+                  ticketLinkLabel = escapeHtml(ticket.id);
+                }
+
+                this.parseHtmlAndPrepend(
+                  titleNode,
+                  '<span class="gmrle-ticket-reference gl-mr-2">' +
+                    '<a href="' +
+                    escapeHtml(ticket.url) +
+                    '" class="has-tooltip" title="' +
+                    escapeHtml(
+                      ticket.issueTracker.name + " ticket " + ticket.id
+                    ) +
+                    '">' +
+                    ticketLinkLabel +
+                    "</a>" +
+                    "</span>"
+                );
+              }, this);
+          }
+        }
+      }
+
+      // -----------------------------------------------
+      // Pipeline status
+
+      if (this.preferences.enable_pipeline_status_indicator) {
+        let controlsNode = this.markupAdapter.getControlsNode(mergeRequestNode);
+
+        if (controlsNode) {
+          this.parseHtmlAndPrepend(
+            controlsNode,
+            '<li class="d-none d-sm-flex gl-ml-3 gmrle-pipeline-status"></li>'
+          );
+        }
+      }
+
+      // -----------------------------------------------
+      // Merge status badges (conflicts, behind target branch, ...)
+
+      if (
+        this.preferences.enable_merge_status_badges &&
+        mergeRequest.state == "opened"
+      ) {
+        let titleNode = this.markupAdapter.getTitleNode(mergeRequestNode);
+
+        if (titleNode) {
+          this.parseHtmlAndAppend(
+            titleNode,
+            '<span class="gmrle-merge-status"></span>'
+          );
+
+          // The number of commits behind the target branch isn't known yet: it's only available when fetching this
+          // Merge Request alone
+          this.updateMergeStatusNode(mergeRequestNode, mergeRequest);
+        }
+      }
+
+      // -----------------------------------------------
+      // Rebase and merge buttons
+
+      if (
+        this.userAuthenticated &&
+        this.preferences.enable_buttons_to_rebase_and_merge &&
+        mergeRequest.state == "opened"
+      ) {
+        let controlsNode = this.markupAdapter.getControlsNode(mergeRequestNode);
+
+        // Buttons are rendered once we know if the user is actually allowed to merge
+        if (controlsNode) {
+          this.parseHtmlAndPrepend(
+            controlsNode,
+            '<li class="d-none d-sm-inline-block gmrle-merge-actions"></li>'
+          );
+        }
+      }
+
+      if (
+        this.preferences.enable_pipeline_status_indicator ||
+        (mergeRequest.state == "opened" &&
+          (this.preferences.enable_merge_status_badges ||
+            (this.userAuthenticated &&
+              this.preferences.enable_buttons_to_rebase_and_merge)))
+      ) {
+        this.fetchMergeRequestThenUpdateUI(mergeRequestNode);
+      }
+
+      // -----------------------------------------------
+      // Unresolved discussions indicator
+
+      if (this.preferences.enable_unresolved_discussions_indicator) {
+        let controlsNode = this.markupAdapter.getControlsNode(mergeRequestNode);
+
+        if (controlsNode) {
+          this.parseHtmlAndAppend(
+            controlsNode,
+            '<li class="issuable-comments d-none d-sm-flex gl-ml-3 gmrle-unresolved-discussions" style="position: relative;"></li>'
+          );
+
+          this.fetchDiscussionsThenUpdateUI(mergeRequestNode);
+        }
+      }
+
+      // -----------------------------------------------
+      // Source and target branches info
+
+      if (this.preferences.display_source_and_target_branches) {
+        // Try to find the target branch element and insert source branch after it
+        const targetBranchElement = this.markupAdapter.getTargetBranchNode(
+          mergeRequestNode
+        );
+
+        if (targetBranchElement) {
+          if (
+            this.preferences
+              .enable_buttons_to_copy_source_and_target_branches_name
+          ) {
+            this.parseHtmlAndAppend(
+              targetBranchElement,
+              this.buildCopyBranchNameButton("target")
+            );
+          }
+
+          // Insert the source branch right after the target branch element
+          this.parseHtmlAndInsertAfter(
+            targetBranchElement,
+            "<span> (" +
+              this.buildBranchNameNode(mergeRequest, "source") +
+              ")</span>"
+          );
+        } else {
+          let infoNode = this.markupAdapter.getInfoNode(mergeRequestNode);
+
+          if (infoNode) {
+            // GitLab didn't render the target branch: display both branches ourselves
+            this.parseHtmlAndAppend(
+              infoNode,
+              '<div class="gmrle-branches">' +
+                this.buildBranchNameNode(mergeRequest, "source") +
+                " " +
+                this.buildSpriteIcon("arrow-right") +
+                " " +
+                this.buildBranchNameNode(mergeRequest, "target") +
+                "</div>"
+            );
+          } else {
+            this.logger.warn(
+              "Could not find where to inject branches of Merge Request",
+              mergeRequest.iid
+            );
+          }
+        }
+      }
+
+      // -----------------------------------------------
+      // Approvals status
+
+      if (this.preferences.enable_approvals_indicator) {
+        let infoNode = this.markupAdapter.getInfoNode(mergeRequestNode);
+
+        if (infoNode) {
+          this.parseHtmlAndAppend(
+            infoNode,
+            '<span class="gl-ml-2 gmrle-approvals"></span>'
+          );
+
+          this.fetchApprovalsThenUpdateUI(mergeRequestNode);
+        }
+      }
+
+      // -----------------------------------------------
+      // Diff size
+
+      if (this.preferences.enable_diff_size_indicator && mergeRequest.sha) {
+        let infoNode = this.markupAdapter.getInfoNode(mergeRequestNode);
+
+        if (infoNode) {
+          this.parseHtmlAndAppend(
+            infoNode,
+            '<span class="gmrle-diff-size"></span>'
+          );
+
+          this.fetchDiffStatsThenUpdateUI(mergeRequestNode, mergeRequest);
+        }
+      }
+
+      // -----------------------------------------------
+      // Age and last activity
+
+      if (this.preferences.enable_staleness_indicators) {
+        this.updateStalenessNode(mergeRequestNode, mergeRequest);
+      }
+
+      // -----------------------------------------------
+      // Review queue overlay (once the current user is known)
+
+      if (this.currentUser) {
+        this.setReviewQueueClassesToMergeRequestNode(
+          mergeRequestNode,
+          mergeRequest
+        );
+
+        this.updateReviewQueueWidget();
+      }
+
+      if (
+        this.preferences.display_source_and_target_branches &&
+        this.preferences.enable_buttons_to_copy_source_and_target_branches_name
+      ) {
+        this.attachClickEventToCopyBranchNameButtons(mergeRequestNode);
+      }
+
+      if (this.preferences.enable_button_to_copy_mr_info) {
+        this.attachClickEventToCopyMergeRequestInfoButtons(mergeRequestNode);
+      }
+
+      if (
+        this.userAuthenticated &&
+        this.preferences.enable_button_to_toggle_wip_status
+      ) {
+        this.attachClickEventToToggleDraftStatusButtons(mergeRequestNode);
+      }
+    }
+
+    /**
+     * Adds the given CSS rules to the page.
+     */
+    addStyleSheet(css) {
+      // Not using `parseHtml` as style elements would end up in the parsed document's head
+      let styleNode = document.createElement("style");
+
+      styleNode.classList.add("gmrle-injected");
+      styleNode.textContent = css;
+
+      document.head.append(styleNode);
+    }
+
+    /**
+     * Renders the age and the time since the last activity of the given opened Merge Request row, the latter being
+     * coloured according to the staleness thresholds defined in preferences. Rows are then sorted or grouped by
+     * staleness if enabled.
+     */
+    updateStalenessNode(mergeRequestNode, mergeRequest) {
+      let infoNode = this.markupAdapter.getInfoNode(mergeRequestNode);
+      let listOrder = this.preferences.staleness_list_order;
+
+      if (mergeRequest.state != "opened") {
+        // Merge Requests which can't be stale are moved to the end of the list
+        mergeRequestNode.style.order = listOrder != "default" ? 99999999 : "";
+
+        return;
+      }
+
+      let now = Date.now();
+      let createdAt = new Date(mergeRequest.created_at);
+      let updatedAt = new Date(mergeRequest.updated_at);
+      let idleDays = (now - updatedAt) / 86400000;
+      let stalenessGroup = this.getStalenessGroup(idleDays);
+
+      if (infoNode) {
+        this.parseHtmlAndAppend(
+          infoNode,
+          '<span class="badge badge-pill gl-badge sm gl-ml-2 has-tooltip badge-neutral gmrle-age" title="Created on ' +
+            createdAt.toLocaleString() +
+            '">' +
+            this.buildSpriteIcon("calendar") +
+            " " +
+            this.formatDuration(now - createdAt) +
+            " old</span>" +
+            '<span class="badge badge-pill gl-badge sm gl-ml-2 has-tooltip badge-' +
+            ["danger", "warning", "success"][stalenessGroup] +
+            ' gmrle-last-activity" title="Last activity on ' +
+            updatedAt.toLocaleString() +
+            '">' +
+            this.buildSpriteIcon("hourglass") +
+            " idle " +
+            this.formatDuration(now - updatedAt) +
+            "</span>"
+        );
+      }
+
+      if (listOrder == "sort") {
+        // Most idle first (in minutes, as `order` only accepts integers)
+        mergeRequestNode.style.order = -Math.floor((now - updatedAt) / 60000);
+      } else if (listOrder == "group") {
+        // Each group header comes right before the rows of its group, which keep their original order
+        mergeRequestNode.style.order = stalenessGroup * 2 + 1;
+      }
+    }
+
+    /**
+     * Returns the staleness group a Merge Request idle for the given number of days belongs to: 0 (stale), 1 (idle)
+     * or 2 (active).
+     */
+    getStalenessGroup(idleDays) {
+      if (idleDays >= this.preferences.staleness_danger_days) {
+        return 0;
+      } else if (idleDays >= this.preferences.staleness_warning_days) {
+        return 1;
+      }
+
+      return 2;
+    }
+
+    /**
+     * Applies the staleness order to the lists holding the given Merge Requests rows: rows which aren't enhanced
+     * (yet) are moved to the end of their list, and the staleness groups headers are rebuilt from scratch as GitLab
+     * may have re-rendered the list or reused rows in the meantime.
+     */
+    updateStalenessOrder(mergeRequestNodes) {
+      let listNodes = new Set();
+
+      document
+        .querySelectorAll(".gmrle-staleness-group-header")
+        .forEach(function (el) {
+          el.parentNode.removeChild(el);
+        });
+
+      mergeRequestNodes.forEach(function (mergeRequestNode) {
+        if (!mergeRequestNode.parentNode) {
+          return;
+        }
+
+        listNodes.add(mergeRequestNode.parentNode);
+
+        // Their order is set once they are enhanced
+        if (!mergeRequestNode.classList.contains("gmrle-merge-request")) {
+          mergeRequestNode.style.order = 99999999;
+        }
+      });
+
+      listNodes.forEach(function (listNode) {
+        listNode.classList.add("gmrle-staleness-ordered");
+
+        if (this.preferences.staleness_list_order == "group") {
+          this.insertStalenessGroupHeaders(listNode);
+        }
+      }, this);
+
+      // Headers changes would otherwise trigger this again, endlessly
+      if (this.mergeRequestsListObserver) {
+        this.mergeRequestsListObserver.takeRecords();
+      }
+    }
+
+    /**
+     * Inserts a header before each staleness group of Merge Requests rows in the given list, except empty groups.
+     */
+    insertStalenessGroupHeaders(listNode) {
+      let labels = [
+        "Stale: idle for " + this.preferences.staleness_danger_days + "+ days",
+        "Idle for " + this.preferences.staleness_warning_days + "+ days",
+        "Active",
+      ];
+      let tagName = listNode.matches("ul, ol") ? "li" : "div";
+      let rowNodes = Array.from(
+        listNode.querySelectorAll(":scope > .gmrle-merge-request")
+      );
+
+      labels.forEach(function (label, stalenessGroup) {
+        let hasRows = rowNodes.some(function (el) {
+          return el.style.order == stalenessGroup * 2 + 1;
+        });
+
+        if (!hasRows) {
+          return;
+        }
+
+        this.parseHtmlAndAppend(
+          listNode,
+          "<" +
+            tagName +
+            ' class="gl-font-weight-bold gl-py-3 gl-px-5 gmrle-staleness-group-header" data-staleness-group="' +
+            stalenessGroup +
+            '" style="order: ' +
+            stalenessGroup * 2 +
+            ';">' +
+            label +
+            "</" +
+            tagName +
+            ">"
+        );
+      }, this);
+    }
+
+    /**
+     * Formats the given duration in milliseconds in a short, human readable way (e.g. "5h", "3d", "2mo").
+     */
+    formatDuration(duration) {
+      let minutes = Math.floor(duration / 60000);
+      let hours = Math.floor(minutes / 60);
+      let days = Math.floor(hours / 24);
+
+      if (days >= 365) {
+        return Math.floor(days / 365) + "y";
+      } else if (days >= 30) {
+        return Math.floor(days / 30) + "mo";
+      } else if (days >= 1) {
+        return days + "d";
+      } else if (hours >= 1) {
+        return hours + "h";
+      }
+
+      return Math.max(minutes, 0) + "m";
+    }
+
+    /**
+     * Fetch the current user, then highlight the Merge Requests rows they have to review or are assigned to, dim the
+     * ones they authored and add the widget allowing to only show the ones needing their review.
+     */
+    initializeReviewQueueOverlay() {
+      let self = this;
+
+      this.addStyleSheet(
+        ".gmrle-merge-request.gmrle-needs-my-review, .gmrle-merge-request.gmrle-assigned-to-me { box-shadow: inset 4px 0 0 #1f75cb; background-color: rgba(31, 117, 203, 0.06); }" +
+          ".gmrle-merge-request.gmrle-authored-by-me { opacity: 0.6; }" +
+          ".gmrle-review-queue-filtered .gmrle-merge-request:not(.gmrle-needs-my-review) { display: none !important; }"
+      );
+
+      this.apiClient
+        .getCurrentUser()
+        .then(function (user) {
+          if (!user) {
+            return;
+          }
+
+          self.currentUser = user;
+
+          document
+            .querySelectorAll(".gmrle-merge-request")
+            .forEach(function (mergeRequestNode) {
+              let mergeRequest =
+                self.mergeRequestsDetails[
+                  mergeRequestNode.dataset.gmrleEnhancedReference
+                ];
+
+              if (mergeRequest) {
+                self.setReviewQueueClassesToMergeRequestNode(
+                  mergeRequestNode,
+                  mergeRequest
+                );
+              }
+            });
+
+          self.updateReviewQueueWidget();
+        })
+        .catch(function () {
+          // Already reported to the user by the API client
+        });
+    }
+
+    /**
+     * Flags the given Merge Request row depending on whether the current user has to review it, is assigned to it or
+     * authored it.
+     */
+    setReviewQueueClassesToMergeRequestNode(mergeRequestNode, mergeRequest) {
+      let currentUserId = this.currentUser.id;
+
+      let includesCurrentUser = function (users) {
+        return (users || []).some(function (user) {
+          return user.id == currentUserId;
+        });
+      };
+
+      mergeRequestNode.classList.toggle(
+        "gmrle-needs-my-review",
+        mergeRequest.state == "opened" &&
+          includesCurrentUser(mergeRequest.reviewers)
+      );
+      mergeRequestNode.classList.toggle(
+        "gmrle-assigned-to-me",
+        includesCurrentUser(mergeRequest.assignees)
+      );
+      mergeRequestNode.classList.toggle(
+        "gmrle-authored-by-me",
+        mergeRequest.author.id == currentUserId
+      );
+    }
+
+    /**
+     * Updates the number of Merge Requests needing the current user's review in the widget next to the list controls,
+     * creating the widget first if needed (e.g. if GitLab re-rendered the list controls).
+     */
+    updateReviewQueueWidget() {
+      let widgetNode = document.querySelector(".gmrle-review-queue-widget");
+
+      if (!widgetNode) {
+        let controlsNode = this.markupAdapter.getListControlsNode();
+
+        if (!controlsNode) {
+          return;
+        }
+
+        this.parseHtmlAndPrepend(
+          controlsNode,
+          '<button class="btn btn-default btn-md gl-button gl-mr-3 gmrle-review-queue-widget" title="Only show Merge Requests needing my review" aria-pressed="false">' +
+            "Needs my review " +
+            '<span class="badge badge-pill gl-badge sm badge-info gmrle-review-queue-count"></span>' +
+            "</button>"
+        );
+
+        widgetNode = controlsNode.querySelector(".gmrle-review-queue-widget");
+
+        // Keep the filter state if the widget was re-created
+        let filtered = document.body.classList.contains(
+          "gmrle-review-queue-filtered"
+        );
+
+        widgetNode.setAttribute("aria-pressed", filtered);
+        widgetNode.classList.toggle("selected", filtered);
+
+        widgetNode.addEventListener("click", function (e) {
+          e.preventDefault();
+
+          let filtered = document.body.classList.toggle(
+            "gmrle-review-queue-filtered"
+          );
+
+          this.setAttribute("aria-pressed", filtered);
+          this.classList.toggle("selected", filtered);
+        });
+      }
+
+      widgetNode.querySelector(
+        ".gmrle-review-queue-count"
+      ).textContent = document.querySelectorAll(
+        ".gmrle-merge-request.gmrle-needs-my-review"
+      ).length;
+    }
+
+    /**
+     * Generates the HTML code of a link to the given Merge Request's source or target branch, optionally followed
+     * by a button allowing to copy its name.
+     */
+    buildBranchNameNode(mergeRequest, branchType) {
+      let branchName = mergeRequest[branchType + "_branch"];
+      let html =
+        '<span class="project-ref-path has-tooltip gmrle-' +
+        branchType +
+        '-branch" title="' +
+        (branchType == "source" ? "Source" : "Target") +
+        ' branch" style="opacity: 0.6;">' +
+        '<a class="ref-name" href="' +
+        this.templateRenderer.escapeHtml(
+          this.getProjectUrl(mergeRequest) +
+            "/-/commits/" +
+            encodeURIComponent(branchName)
+        ) +
+        '">' +
+        this.templateRenderer.escapeHtml(branchName) +
+        "</a>";
+
+      if (
+        this.preferences.enable_buttons_to_copy_source_and_target_branches_name
+      ) {
+        html += this.buildCopyBranchNameButton(branchType);
+      }
+
+      return html + "</span>";
+    }
+
+    /**
+     * Generates the HTML code of a button allowing to copy the source or target branch name.
+     */
+    buildCopyBranchNameButton(branchType) {
+      return (
+        '<button class="btn btn-default btn-sm btn-transparent gl-button btn-clipboard has-tooltip gmrle-copy-branch-name" title="Copy ' +
+        branchType +
+        ' branch name" data-branch-name-to-copy="' +
+        branchType +
+        '">' +
+        this.buildSpriteIcon("copy-to-clipboard") +
+        "</button>"
+      );
+    }
+
+    /**
+     * Performs HTTP GET requests to the GitLab API to retrieve full details about the given Merge Request row (head
+     * pipeline and its jobs, number of commits behind the target branch). If successful, it actually updates the
+     * pipeline status icon and the merge status badges of this row, first with cached details if there are some.
+     */
+    fetchMergeRequestThenUpdateUI(mergeRequestNode) {
+      let self = this;
+      let reference = mergeRequestNode.dataset.gmrleEnhancedReference;
+      let projectId = mergeRequestNode.dataset.projectId;
+      // Cached and fresh details usually reference the same pipeline, whose jobs are then only fetched once
+      let jobsPromisesByPipelineId = {};
+
+      // The row may have been reused by GitLab for another Merge Request in the meantime
+      let isRowStale = function () {
+        return mergeRequestNode.dataset.gmrleEnhancedReference != reference;
+      };
+
+      let updatePipelineStatus = function (pipeline, jobs) {
+        if (!isRowStale()) {
+          self.updatePipelineStatusNode(mergeRequestNode, pipeline, jobs);
+        }
+      };
+
+      let fetchJobsThenUpdatePipelineStatus = function (pipeline) {
+        if (!(pipeline.id in jobsPromisesByPipelineId)) {
+          jobsPromisesByPipelineId[
+            pipeline.id
+          ] = self.apiClient.getProjectPipelineJobs(
+            projectId,
+            pipeline.id,
+            function (cachedJobs) {
+              updatePipelineStatus(pipeline, cachedJobs);
+            }
+          );
+        }
+
+        return jobsPromisesByPipelineId[pipeline.id].then(function (jobs) {
+          updatePipelineStatus(pipeline, jobs);
+        });
+      };
+
+      // Returns the promise of the pipeline jobs, if they have to be fetched
+      let updateMergeRequest = function (mergeRequest) {
+        if (isRowStale()) {
+          return;
+        }
+
+        // Details not returned when listing Merge Requests (e.g. changes count) are then available to the copy format
+        if (reference in self.mergeRequestsDetails) {
+          Object.assign(self.mergeRequestsDetails[reference], mergeRequest);
+        }
+
+        if (self.preferences.enable_merge_status_badges) {
+          self.updateMergeStatusNode(mergeRequestNode, mergeRequest);
+        }
+
+        if (
+          self.userAuthenticated &&
+          self.preferences.enable_buttons_to_rebase_and_merge
+        ) {
+          self.updateMergeActionsNode(mergeRequestNode, mergeRequest);
+        }
+
+        let pipeline = mergeRequest.head_pipeline;
+
+        if (!self.preferences.enable_pipeline_status_indicator || !pipeline) {
+          return;
+        }
+
+        return fetchJobsThenUpdatePipelineStatus(pipeline);
+      };
+
+      this.apiClient
+        .getProjectMergeRequest(
+          projectId,
+          mergeRequestNode.dataset.iid,
+          function (cachedMergeRequest) {
+            let jobsPromise = updateMergeRequest(cachedMergeRequest);
+
+            if (jobsPromise) {
+              jobsPromise.catch(function () {
+                // Reported along with the fresh details
+              });
+            }
+          }
+        )
+        .then(updateMergeRequest)
+        .catch(function () {
+          // Already reported to the user by the API client
+        });
+    }
+
+    /**
+     * Renders the pipeline status icon of the given Merge Request row, with a per-stage breakdown as its tooltip.
+     */
+    updatePipelineStatusNode(mergeRequestNode, pipeline, jobs) {
+      let statusNode = mergeRequestNode.querySelector(".gmrle-pipeline-status");
+
+      if (!statusNode) {
+        return;
+      }
+
+      mergeRequestNode.dataset.pipelineStatus = pipeline.status;
+
+      statusNode.textContent = "";
+
+      this.parseHtmlAndAppend(
+        statusNode,
+        '<a class="ci-status-link ci-status-icon-' +
+          pipeline.status +
+          '" href="' +
+          pipeline.web_url +
+          '">' +
+          this.buildSpriteIcon("status_" + pipeline.status) +
+          "</a>"
+      );
+
+      // Set as a property so job and stage names don't need to be escaped
+      statusNode.querySelector("a").title = this.buildPipelineStatusTooltip(
+        pipeline,
+        jobs
+      );
+    }
+
+    /**
+     * Creates the text describing the status of every stage of the given pipeline, and which jobs failed.
+     */
+    buildPipelineStatusTooltip(pipeline, jobs) {
+      let statusesPrecedence = [
+        "failed",
+        "running",
+        "pending",
+        "preparing",
+        "waiting_for_resource",
+        "created",
+        "scheduled",
+        "canceled",
+        "manual",
+        "success",
+        "skipped",
+      ];
+      let latestJobs = {};
+      let stages = {};
+
+      // Retried jobs are listed alongside their previous attempts: only keep the latest one
+      jobs.forEach(function (job) {
+        if (!(job.name in latestJobs) || latestJobs[job.name].id < job.id) {
+          latestJobs[job.name] = job;
+        }
+      });
+
+      Object.values(latestJobs)
+        .sort(function (a, b) {
+          return a.id - b.id;
+        })
+        .forEach(function (job) {
+          if (!(job.stage in stages)) {
+            stages[job.stage] = { statuses: [], failedJobs: [] };
+          }
+
+          // Jobs allowed to fail don't make their stage fail
+          if (job.status == "failed" && job.allow_failure) {
+            stages[job.stage].statuses.push("success");
+          } else {
+            stages[job.stage].statuses.push(job.status);
+          }
+
+          if (job.status == "failed") {
+            stages[job.stage].failedJobs.push(job.name);
+          }
+        });
+
+      let lines = ["Pipeline #" + pipeline.id + ": " + pipeline.status];
+
+      Object.keys(stages).forEach(function (stageName) {
+        let stage = stages[stageName];
+        let stageStatus = statusesPrecedence.find(function (status) {
+          return stage.statuses.includes(status);
+        });
+
+        let line = stageName + ": " + (stageStatus || stage.statuses[0]);
+
+        if (stage.failedJobs.length > 0) {
+          line += " (failed: " + stage.failedJobs.join(", ") + ")";
+        }
+
+        lines.push(line);
+      });
+
+      return lines.join("\n");
+    }
+
+    /**
+     * Periodically refreshes the pipeline status of every displayed Merge Request whose pipeline isn't finished
+     * yet, at the interval defined in the user's preferences.
+     */
+    pollRunningPipelinesStatus() {
+      let self = this;
+      let unfinishedStatuses = [
+        "created",
+        "waiting_for_resource",
+        "preparing",
+        "pending",
+        "running",
+        "scheduled",
+      ];
+
+      setInterval(function () {
+        document
+          .querySelectorAll(".gmrle-merge-request[data-pipeline-status]")
+          .forEach(function (mergeRequestNode) {
+            if (
+              unfinishedStatuses.includes(
+                mergeRequestNode.dataset.pipelineStatus
+              )
+            ) {
+              self.fetchMergeRequestThenUpdateUI(mergeRequestNode);
+            }
+          });
+      }, this.preferences.pipeline_status_refresh_interval * 1000);
+    }
+
+    /**
+     * Renders the warning badges of the given Merge Request row telling why it can't be merged as is: conflicts,
+     * commits behind the target branch, or any other reason GitLab prevents it from being merged.
+     */
+    updateMergeStatusNode(mergeRequestNode, mergeRequest) {
+      let mergeStatusNode = mergeRequestNode.querySelector(
+        ".gmrle-merge-status"
+      );
+
+      if (!mergeStatusNode) {
+        return;
+      }
+
+      let badges = [];
+
+      if (mergeRequest.has_conflicts) {
+        badges.push({
+          variant: "danger",
+          icon: "warning",
+          label: "Conflicts",
+          title: "Source branch has conflicts with the target branch",
+        });
+      }
+
+      if (mergeRequest.diverged_commits_count > 0) {
+        badges.push({
+          variant: "warning",
+          icon: "history",
+          label:
+            "Behind target by " +
+            mergeRequest.diverged_commits_count +
+            (mergeRequest.diverged_commits_count > 1 ? " commits" : " commit"),
+          title: "Source branch needs to be rebased onto the target branch",
+        });
+      } else if (mergeRequest.detailed_merge_status == "need_rebase") {
+        badges.push({
+          variant: "warning",
+          icon: "history",
+          label: "Needs rebase",
+          title: "Source branch needs to be rebased onto the target branch",
+        });
+      }
+
+      // Conflicts are the most common reason why a Merge Request can't be merged: don't display it twice
+      if (
+        !mergeRequest.has_conflicts &&
+        (mergeRequest.merge_status == "cannot_be_merged" ||
+          mergeRequest.detailed_merge_status == "broken_status")
+      ) {
+        badges.push({
+          variant: "danger",
+          icon: "cancel",
+          label: "Cannot be merged",
+          title: "GitLab is unable to merge this Merge Request",
+        });
+      }
+
+      mergeStatusNode.textContent = "";
+
+      badges.forEach(function (badge) {
+        this.parseHtmlAndAppend(
+          mergeStatusNode,
+          '<span class="badge badge-pill gl-badge sm gl-ml-2 has-tooltip badge-' +
+            badge.variant +
+            '" title="' +
+            badge.title +
+            '">' +
+            this.buildSpriteIcon(badge.icon) +
+            " " +
+            badge.label +
+            "</span>"
+        );
+      }, this);
+    }
+
+    /**
+     * Renders the "Rebase" and "Merge when pipeline succeeds" buttons of the given Merge Request row, if the user is
+     * allowed to perform them (push to the source branch, merge) and if they make sense given its current state.
+     */
+    updateMergeActionsNode(mergeRequestNode, mergeRequest) {
+      let self = this;
+      let mergeActionsNode = mergeRequestNode.querySelector(
+        ".gmrle-merge-actions"
+      );
+
+      if (!mergeActionsNode) {
+        return;
+      }
+
+      mergeActionsNode.textContent = "";
+
+      if (mergeRequest.state != "opened") {
+        return;
+      }
+
+      if (
+        mergeRequest.diverged_commits_count > 0 ||
+        mergeRequest.detailed_merge_status == "need_rebase"
+      ) {
+        // Shown once it's known the user can push to the source branch, which rebasing requires
+        this.parseHtmlAndAppend(
+          mergeActionsNode,
+          '<button class="btn btn-default btn-sm gl-button gl-ml-3 gmrle-rebase" title="Rebase source branch onto target branch" style="display: none;">' +
+            "Rebase" +
+            "</button>"
+        );
+
+        // Removed if the actions are rendered again in the meantime, in which case showing it has no effect
+        let rebaseButton = mergeActionsNode.querySelector(".gmrle-rebase");
+
+        this.apiClient
+          .getProjectBranch(
+            mergeRequest.source_project_id,
+            mergeRequest.source_branch
+          )
+          .then(function (branch) {
+            if (branch.can_push) {
+              rebaseButton.style.display = "";
+            }
+          })
+          .catch(function () {
+            // Rebasing isn't offered if it can't be determined whether it's allowed
+          });
+      }
+
+      // Merging is only offered while the pipeline is still running, as it would otherwise be merged right away
+      if (
+        mergeRequest.user &&
+        mergeRequest.user.can_merge &&
+        mergeRequest.head_pipeline &&
+        [
+          "created",
+          "waiting_for_resource",
+          "preparing",
+          "pending",
+          "running",
+        ].includes(mergeRequest.head_pipeline.status) &&
+        !mergeRequest.merge_when_pipeline_succeeds &&
+        !mergeRequest.has_conflicts &&
+        !(mergeRequest.draft || mergeRequest.work_in_progress)
+      ) {
+        this.parseHtmlAndAppend(
+          mergeActionsNode,
+          '<button class="btn btn-confirm btn-sm gl-button gl-ml-3 gmrle-merge-when-pipeline-succeeds" title="Merge when pipeline succeeds">' +
+            "Merge when pipeline succeeds" +
+            "</button>"
+        );
+      }
+
+      mergeActionsNode
+        .querySelectorAll("button.gmrle-rebase")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            self.rebaseMergeRequest(mergeRequestNode, this);
+          });
+        });
+
+      mergeActionsNode
+        .querySelectorAll("button.gmrle-merge-when-pipeline-succeeds")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            self.mergeMergeRequestWhenPipelineSucceeds(
+              mergeRequestNode,
+              mergeRequest.sha,
+              this
+            );
+          });
+        });
+    }
+
+    /**
+     * Actually rebase a given Merge Request, after the user confirmed it.
+     */
+    rebaseMergeRequest(mergeRequestNode, rebaseButton) {
+      if (
+        !confirm(
+          "Rebase " +
+            mergeRequestNode.dataset.sourceBranchName +
+            " onto " +
+            mergeRequestNode.dataset.targetBranchName +
+            "?"
+        )
+      ) {
+        return;
+      }
+
+      rebaseButton.disabled = true;
+      rebaseButton.textContent = "Rebasing...";
+
+      this.apiClient
+        .rebaseProjectMergeRequest(
+          mergeRequestNode.dataset.projectId,
+          mergeRequestNode.dataset.iid
+        )
+        .then(
+          function () {
+            // GitLab rebases asynchronously: there's nothing more we can do than telling it started
+            rebaseButton.textContent = "Rebase started";
+          },
+          function () {
+            rebaseButton.disabled = false;
+            rebaseButton.textContent = "Rebase";
+          }
+        );
+    }
+
+    /**
+     * Actually set a given Merge Request to be merged when its pipeline succeeds, after the user confirmed it.
+     */
+    mergeMergeRequestWhenPipelineSucceeds(mergeRequestNode, sha, mergeButton) {
+      if (
+        !confirm(
+          "Merge !" +
+            mergeRequestNode.dataset.iid +
+            " (" +
+            mergeRequestNode.dataset.title +
+            ") when its pipeline succeeds?"
+        )
+      ) {
+        return;
+      }
 
-            // Debug: Show all available MR nodes
-            if (allMrNodes.length === 0) {
-              console.log(
-                "🔧 GitLab MR Enhancer: No MR nodes found, checking alternative selectors..."
+      mergeButton.disabled = true;
+      mergeButton.textContent = "Scheduling merge...";
+
+      this.apiClient
+        .mergeProjectMergeRequest(
+          mergeRequestNode.dataset.projectId,
+          mergeRequestNode.dataset.iid,
+          {
+            // Ensures we don't merge something else than what the user has seen
+            sha: sha,
+            // `auto_merge` supersedes `merge_when_pipeline_succeeds` on recent GitLab versions
+            merge_when_pipeline_succeeds: true,
+            auto_merge: true,
+          }
+        )
+        .then(
+          function () {
+            mergeButton.textContent = "Merge scheduled";
+          },
+          function () {
+            mergeButton.disabled = false;
+            mergeButton.textContent = "Merge when pipeline succeeds";
+          }
+        );
+    }
+
+    /**
+     * Performs an HTTP GET request to the GitLab API to retrieve the approvals status of the given Merge Request
+     * row. If successful, it actually updates the approvals badge of this row, first with the cached approvals status
+     * if there's one.
+     */
+    fetchApprovalsThenUpdateUI(mergeRequestNode) {
+      let self = this;
+      let reference = mergeRequestNode.dataset.gmrleEnhancedReference;
+
+      let updateApprovals = function (approvals) {
+        // The row may have been reused by GitLab for another Merge Request in the meantime
+        if (mergeRequestNode.dataset.gmrleEnhancedReference != reference) {
+          return;
+        }
+
+        self.updateApprovalsNode(mergeRequestNode, approvals);
+      };
+
+      this.apiClient
+        .getProjectMergeRequestApprovals(
+          mergeRequestNode.dataset.projectId,
+          mergeRequestNode.dataset.iid,
+          updateApprovals
+        )
+        .then(updateApprovals)
+        .catch(function () {
+          // Already reported to the user by the API client
+        });
+    }
+
+    /**
+     * Fetch the discussions of the given Merge Request row, then renders its unresolved discussions indicator (first
+     * with the cached discussions if there are some).
+     */
+    fetchDiscussionsThenUpdateUI(mergeRequestNode) {
+      let self = this;
+      let reference = mergeRequestNode.dataset.gmrleEnhancedReference;
+
+      let updateDiscussions = function (discussions) {
+        // The row may have been reused by GitLab for another Merge Request in the meantime
+        if (mergeRequestNode.dataset.gmrleEnhancedReference != reference) {
+          return;
+        }
+
+        self.updateUnresolvedDiscussionsNode(mergeRequestNode, discussions);
+      };
+
+      this.apiClient
+        .getProjectMergeRequestDiscussions(
+          mergeRequestNode.dataset.projectId,
+          mergeRequestNode.dataset.iid,
+          updateDiscussions
+        )
+        .then(updateDiscussions)
+        .catch(function () {
+          // Already reported to the user by the API client
+        });
+    }
+
+    /**
+     * Renders how many threads are left unresolved out of all the threads of the given Merge Request row, along with
+     * a popover listing each thread author and first lines (unresolved threads first).
+     */
+    updateUnresolvedDiscussionsNode(mergeRequestNode, discussions) {
+      let self = this;
+      let discussionsNode = mergeRequestNode.querySelector(
+        ".gmrle-unresolved-discussions"
+      );
+
+      if (!discussionsNode) {
+        return;
+      }
+
+      // Individual comments can't be resolved: only threads are taken into account
+      let threads = discussions
+        .filter(function (discussion) {
+          return discussion.notes.length > 0 && discussion.notes[0].resolvable;
+        })
+        .map(function (discussion) {
+          return {
+            note: discussion.notes[0],
+            resolved: discussion.notes.every(function (note) {
+              return !note.resolvable || note.resolved;
+            }),
+          };
+        })
+        .sort(function (a, b) {
+          return a.resolved - b.resolved;
+        });
+
+      let unresolvedCount = threads.filter(function (thread) {
+        return !thread.resolved;
+      }).length;
+
+      discussionsNode.textContent = "";
+
+      if (threads.length == 0) {
+        return;
+      }
+
+      let maxThreadsInPopover = 10;
+
+      this.parseHtmlAndAppend(
+        discussionsNode,
+        '<span class="' +
+          (unresolvedCount > 0 ? "gl-text-orange-600" : "gl-text-green-600") +
+          '">' +
+          this.buildSpriteIcon("comment-dots") +
+          " " +
+          unresolvedCount +
+          " unresolved / " +
+          threads.length +
+          (threads.length == 1 ? " thread" : " threads") +
+          "</span>" +
+          '<div class="gl-bg-white gl-border gl-rounded-base gl-shadow gl-p-3 gl-text-left gl-white-space-normal gmrle-discussions-popover" style="position: absolute; right: 0; top: 100%; z-index: 1000; width: 360px;">' +
+          threads
+            .slice(0, maxThreadsInPopover)
+            .map(function (thread) {
+              let firstLines = thread.note.body
+                .split("\n")
+                .filter(function (line) {
+                  return line.trim() != "";
+                })
+                .slice(0, 2)
+                .join(" ");
+
+              return (
+                '<div class="gl-mb-2">' +
+                (thread.resolved ? "✔️ " : "💬 ") +
+                "<strong>" +
+                self.templateRenderer.escapeHtml(thread.note.author.name) +
+                "</strong>: " +
+                self.templateRenderer.escapeHtml(
+                  firstLines.length > 120
+                    ? firstLines.substring(0, 119) + "…"
+                    : firstLines
+                ) +
+                "</div>"
               );
-              const alternativeSelectors = [
-                ".merge-request",
-                ".gl-list-item",
-                '[data-testid="merge-request-item"]',
-                ".mr-list > *",
-              ];
+            })
+            .join("") +
+          (threads.length > maxThreadsInPopover
+            ? '<div class="gl-text-secondary">And ' +
+              (threads.length - maxThreadsInPopover) +
+              " more</div>"
+            : "") +
+          "</div>"
+      );
+    }
 
-              alternativeSelectors.forEach((altSelector) => {
-                const altNodes = document.querySelectorAll(altSelector);
-                console.log(
-                  `🔧 GitLab MR Enhancer: Found ${altNodes.length} nodes with selector: ${altSelector}`
-                );
-                if (altNodes.length > 0) {
-                  console.log(
-                    "🔧 GitLab MR Enhancer: First node classes:",
-                    altNodes[0].className
-                  );
-                  console.log(
-                    "🔧 GitLab MR Enhancer: First node HTML:",
-                    altNodes[0].outerHTML.substring(0, 200) + "..."
-                  );
-                }
-              });
+    /**
+     * Fetch the diff stats of the given Merge Request row, unless they are already known for its current version
+     * (head and base commits), then renders its diff size badge.
+     */
+    fetchDiffStatsThenUpdateUI(mergeRequestNode, mergeRequest) {
+      let self = this;
+      let reference = mergeRequestNode.dataset.gmrleEnhancedReference;
+      // `diff_refs` isn't returned by every GitLab version
+      let baseSha = mergeRequest.diff_refs
+        ? mergeRequest.diff_refs.base_sha
+        : null;
+      let version = reference + ":" + (baseSha || "") + ".." + mergeRequest.sha;
+
+      if (!(version in this.diffStatsByVersion)) {
+        // Stored as a promise so concurrent renders of the same Merge Request share the same requests
+        this.diffStatsByVersion[
+          version
+        ] = this.apiClient.getProjectMergeRequestDiffStats(
+          mergeRequest.project_id,
+          mergeRequest.iid,
+          mergeRequest.sha,
+          baseSha
+        );
+
+        this.diffStatsByVersion[version].catch(function () {
+          delete self.diffStatsByVersion[version];
+        });
+      }
+
+      this.diffStatsByVersion[version]
+        .then(function (stats) {
+          // The row may have been reused by GitLab for another Merge Request in the meantime
+          if (mergeRequestNode.dataset.gmrleEnhancedReference != reference) {
+            return;
+          }
+
+          self.updateDiffSizeNode(mergeRequestNode, mergeRequest, stats);
+        })
+        .catch(function () {
+          // Already reported to the user by the API client
+        });
+    }
+
+    /**
+     * Renders the diff size badge of the given Merge Request row: its size bucket (from XS to XL, depending on the
+     * number of changed lines), lines added and removed, and files changed. Incomplete stats are shown as minimums.
+     */
+    updateDiffSizeNode(mergeRequestNode, mergeRequest, stats) {
+      let diffSizeNode = mergeRequestNode.querySelector(".gmrle-diff-size");
+
+      if (!diffSizeNode) {
+        return;
+      }
+
+      let changedLines = stats.additions + stats.deletions;
+      let bucket = [
+        ["XS", 10, "success"],
+        ["S", 50, "success"],
+        ["M", 250, "neutral"],
+        ["L", 1000, "warning"],
+        ["XL", Infinity, "danger"],
+      ].find(function (bucket) {
+        return changedLines < bucket[1];
+      });
+
+      // `changes_count` is only known once the Merge Request details were fetched, and may be e.g. "1000+"
+      let files = mergeRequest.changes_count || stats.files;
+
+      diffSizeNode.textContent = "";
+
+      this.parseHtmlAndAppend(
+        diffSizeNode,
+        '<span class="badge badge-pill gl-badge sm gl-ml-2 has-tooltip badge-' +
+          bucket[2] +
+          '" title="' +
+          (stats.incomplete ? "At least " : "") +
+          stats.additions +
+          " lines added, " +
+          stats.deletions +
+          " lines removed in " +
+          files +
+          " files" +
+          (stats.incomplete
+            ? " (some diffs are too large to be counted)"
+            : "") +
+          '">' +
+          bucket[0] +
+          " · " +
+          (stats.incomplete ? "≥" : "") +
+          "+" +
+          stats.additions +
+          " −" +
+          stats.deletions +
+          " · " +
+          files +
+          (files == 1 ? " file" : " files") +
+          "</span>"
+      );
+    }
+
+    /**
+     * Renders the approvals badge of the given Merge Request row: how many approvals were given out of how many
+     * are required, followed by the approvers avatar.
+     */
+    updateApprovalsNode(mergeRequestNode, approvals) {
+      let approvalsNode = mergeRequestNode.querySelector(".gmrle-approvals");
+
+      if (!approvalsNode) {
+        return;
+      }
+
+      // Cached approvals are rendered first, then replaced by fresh ones
+      approvalsNode.textContent = "";
+
+      let approvers = approvals.approved_by.map(function (approval) {
+        return approval.user;
+      });
+      let approvalsRequired = approvals.approvals_required || 0;
+
+      // Nothing worth displaying if no one approved and no approvals are required
+      if (approvers.length == 0 && approvalsRequired == 0) {
+        return;
+      }
+
+      let label = "Approved " + approvers.length;
+
+      if (approvalsRequired > 0) {
+        label += "/" + approvalsRequired;
+      }
+
+      let badgeVariant =
+        approvalsRequired > 0 && approvals.approvals_left > 0
+          ? "warning"
+          : "success";
+
+      this.parseHtmlAndAppend(
+        approvalsNode,
+        '<span class="badge badge-pill gl-badge sm badge-' +
+          badgeVariant +
+          '">' +
+          this.buildSpriteIcon("approval") +
+          " " +
+          label +
+          "</span>"
+      );
+
+      approvers.forEach(function (approver) {
+        let avatarNode = document.createElement("img");
+
+        avatarNode.className = "avatar s16 gl-ml-1 gl-vertical-align-middle";
+        avatarNode.src = approver.avatar_url;
+        avatarNode.alt = approver.name;
+        avatarNode.title = "Approved by " + approver.name;
+
+        approvalsNode.append(avatarNode);
+      });
+    }
+
+    /**
+     * Sets several data-* attributes on a DOM node representing a Merge Request so these values may be used later.
+     */
+    setDataAttributesToMergeRequestNode(mergeRequestNode, mergeRequest) {
+      mergeRequestNode.dataset.projectId = mergeRequest.project_id;
+      mergeRequestNode.dataset.title = mergeRequest.title;
+      mergeRequestNode.dataset.iid = mergeRequest.iid;
+      mergeRequestNode.dataset.url = mergeRequest.web_url;
+      mergeRequestNode.dataset.diffsUrl = mergeRequest.web_url + "/diffs";
+      mergeRequestNode.dataset.authorName = mergeRequest.author.name;
+      mergeRequestNode.dataset.status = mergeRequest.state;
+      mergeRequestNode.dataset.sourceBranchName = mergeRequest.source_branch;
+      mergeRequestNode.dataset.targetBranchName = mergeRequest.target_branch;
+      // `work_in_progress` is deprecated in favor of `draft` since GitLab 13.12
+      mergeRequestNode.dataset.isDraft =
+        "draft" in mergeRequest
+          ? mergeRequest.draft
+          : mergeRequest.work_in_progress;
+    }
+
+    /**
+     * Returns the URL to the project the given Merge Request belongs to.
+     */
+    getProjectUrl(mergeRequest) {
+      return mergeRequest.web_url.replace(/\/-\/merge_requests\/\d+$/, "");
+    }
+
+    /**
+     * Finds all tickets of all issue trackers the user has defined in its preferences, in the given Merge Request
+     * object's source branch name, title and description (in this order).
+     */
+    findIssueTrackerTickets(mergeRequest) {
+      let tickets = [];
+      let sources = [
+        mergeRequest.source_branch,
+        mergeRequest.title,
+        mergeRequest.description || "",
+      ];
+
+      this.preferences.issue_trackers.forEach(function (issueTracker) {
+        let ticketIdRegex = null;
+
+        try {
+          ticketIdRegex = new RegExp(issueTracker.pattern, "g");
+        } catch (e) {
+          this.logger.error(
+            "Invalid pattern for issue tracker",
+            issueTracker.name,
+            e
+          );
+
+          return;
+        }
+
+        sources.forEach(function (source) {
+          for (let results of source.matchAll(ticketIdRegex)) {
+            let alreadyFound = tickets.some(function (ticket) {
+              return (
+                ticket.issueTracker === issueTracker && ticket.id == results[0]
+              );
+            });
+
+            if (!results[0] || alreadyFound) {
+              continue;
             }
 
-            for (let node of allMrNodes) {
-              const referenceEl = node.querySelector(".issuable-reference");
-              if (referenceEl) {
-                console.log(
-                  "🔧 GitLab MR Enhancer: MR node reference text:",
-                  referenceEl.textContent.trim()
-                );
-              }
-              if (
-                referenceEl &&
-                referenceEl.textContent.includes("!" + mergeRequest.iid)
-              ) {
-                mergeRequestNode = node;
-                console.log(
-                  "🔧 GitLab MR Enhancer: Found MR node using manual search for IID:",
-                  mergeRequest.iid
-                );
-                break;
+            tickets.push({
+              issueTracker: issueTracker,
+              id: results[0],
+              url: this.createIssueTrackerTicketUrl(
+                issueTracker,
+                results,
+                mergeRequest
+              ),
+            });
+          }
+        }, this);
+      }, this);
+
+      return tickets;
+    }
+
+    /**
+     * Creates an URL to a given ticket from the URL template of its issue tracker. Available placeholders are
+     * `{TICKET_ID}` (the whole match), `{1}`, `{2}`, ... (the pattern's capturing groups) and `{PROJECT_URL}`.
+     */
+    createIssueTrackerTicketUrl(issueTracker, results, mergeRequest) {
+      let self = this;
+
+      return issueTracker.url_template.replace(
+        /{(TICKET_ID|PROJECT_URL|\d+)}/g,
+        function (_, placeholder) {
+          if (placeholder == "TICKET_ID") {
+            return encodeURIComponent(results[0]);
+          } else if (placeholder == "PROJECT_URL") {
+            return self.getProjectUrl(mergeRequest);
+          }
+
+          return encodeURIComponent(results[placeholder] || "");
+        }
+      );
+    }
+
+    /**
+     * Attach a click event to all buttons inserted by the extension in the given Merge Request row allowing to copy the source and target
+     * branches name.
+     */
+    attachClickEventToCopyBranchNameButtons(mergeRequestNode) {
+      let self = this;
+
+      mergeRequestNode
+        .querySelectorAll("button.gmrle-copy-branch-name")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            let branchName = this.closest(".gmrle-merge-request").dataset[
+              this.dataset.branchNameToCopy + "BranchName"
+            ];
+
+            navigator.clipboard.writeText(branchName).then(
+              function () {
+                // Do nothing if copy was successful.
+              },
+              function () {
+                self.notifier.show("Unable to copy branch name.");
               }
-            }
-            if (mergeRequestNode) break;
-          } else {
-            mergeRequestNode = document.querySelector(selector);
-            if (mergeRequestNode) {
-              console.log(
-                "🔧 GitLab MR Enhancer: Found MR node using selector:",
-                selector
+            );
+          });
+        });
+    }
+
+    /**
+     * Attach a click event to all buttons inserted by the extension in the given Merge Request row allowing to copy Merge Request info.
+     */
+    attachClickEventToCopyMergeRequestInfoButtons(mergeRequestNode) {
+      let self = this;
+
+      mergeRequestNode
+        .querySelectorAll("button.gmrle-copy-mr-info")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            let templates = self.preferences.copy_mr_info_templates;
+
+            // With several templates, the button opens the menu allowing to choose one
+            if (templates.length > 1) {
+              self.toggleCopyMergeRequestInfoMenu(
+                this.parentNode.querySelector(".gmrle-copy-mr-info-menu")
               );
-              break;
+
+              return;
             }
-          }
+
+            self.copyMergeRequestsInfo(
+              [this.closest(".gmrle-merge-request")],
+              templates[0]
+            );
+          });
+        });
+
+      mergeRequestNode
+        .querySelectorAll(".gmrle-copy-mr-info-menu button[data-template-index]")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            self.toggleCopyMergeRequestInfoMenu(
+              this.closest(".gmrle-copy-mr-info-menu"),
+              false
+            );
+
+            self.copyMergeRequestsInfo(
+              [this.closest(".gmrle-merge-request")],
+              self.preferences.copy_mr_info_templates[this.dataset.templateIndex]
+            );
+          });
+        });
+    }
+
+    /**
+     * Attach a click event to the document closing the menus allowing to choose a copy template when clicking outside
+     * of them.
+     */
+    attachClickEventToDocumentClosingCopyMergeRequestInfoMenus() {
+      document.addEventListener("click", function (e) {
+        if (e.target.closest(".gmrle-copy-mr-info-dropdown")) {
+          return;
         }
 
-        if (!mergeRequestNode) {
-          console.error(
-            "❌ GitLab MR Enhancer: Could not find MR node for IID:",
-            mergeRequest.iid,
-            "or ID:",
-            mergeRequest.id
-          );
-          return;
-        }
+        document
+          .querySelectorAll(".gmrle-copy-mr-info-menu")
+          .forEach(function (el) {
+            el.style.display = "none";
+          });
+      });
+    }
+
+    /**
+     * Generate the HTML code of the button allowing to copy Merge Request info, along with the menu allowing to
+     * choose which template to use if there's several of them.
+     */
+    buildCopyMergeRequestInfoButton() {
+      let self = this;
+      let templates = this.preferences.copy_mr_info_templates;
+
+      let html =
+        '<button class="btn btn-default btn-sm btn-transparent gl-button btn-clipboard has-tooltip gmrle-copy-mr-info" title="Copy Merge Request info">' +
+        this.buildSpriteIcon("copy-to-clipboard") +
+        (templates.length > 1 ? this.buildSpriteIcon("chevron-down") : "") +
+        "</button>";
+
+      if (templates.length <= 1) {
+        return html;
+      }
+
+      return (
+        '<span class="gmrle-copy-mr-info-dropdown" style="position: relative;">' +
+        html +
+        '<ul class="gl-bg-white gl-border gl-rounded-base gl-shadow gl-p-2 gl-m-0 gl-list-style-none gmrle-copy-mr-info-menu" style="position: absolute; left: 0; top: 100%; z-index: 1000; min-width: 200px; display: none;">' +
+        templates
+          .map(function (template, index) {
+            return (
+              '<li><button class="btn btn-default btn-sm btn-transparent gl-button gl-w-full gl-justify-content-start" data-template-index="' +
+              index +
+              '">' +
+              self.templateRenderer.escapeHtml(template.name) +
+              "</button></li>"
+            );
+          })
+          .join("") +
+        "</ul>" +
+        "</span>"
+      );
+    }
+
+    /**
+     * Shows or hides (depending on the given state, or on its current visibility) the given menu allowing to choose
+     * which template to use to copy Merge Request info. Only one menu is shown at a time.
+     */
+    toggleCopyMergeRequestInfoMenu(menuNode, show = null) {
+      if (show === null) {
+        show = menuNode.style.display == "none";
+      }
+
+      document
+        .querySelectorAll(".gmrle-copy-mr-info-menu")
+        .forEach(function (el) {
+          el.style.display = "none";
+        });
+
+      if (show) {
+        menuNode.style.display = "block";
+      }
+    }
+
+    /**
+     * Copy the information of the given Merge Requests rows to the clipboard using the given template. HTML templates
+     * are copied as HTML along with a plain text version, so links are kept when pasted in rich text editors.
+     */
+    copyMergeRequestsInfo(mergeRequestNodes, template) {
+      if (!template) {
+        return;
+      }
+
+      let self = this;
+      let isHtml = template.output == "html";
+
+      let infos = mergeRequestNodes.map(function (mergeRequestNode) {
+        return self.buildMergeRequestInfoText(mergeRequestNode, template);
+      });
+
+      let text = infos.join("\n\n");
+      let copyPromise;
 
-        this.setDataAttributesToMergeRequestNode(
-          mergeRequestNode,
-          mergeRequest
+      if (isHtml && navigator.clipboard.write && globals.ClipboardItem) {
+        let html = infos.join("<br><br>");
+
+        copyPromise = navigator.clipboard.write([
+          new ClipboardItem({
+            "text/html": new Blob([html], { type: "text/html" }),
+            "text/plain": new Blob(
+              [
+                infos
+                  .map(function (info) {
+                    return self.convertHtmlToPlainText(info);
+                  })
+                  .join("\n\n"),
+              ],
+              { type: "text/plain" }
+            ),
+          }),
+        ]);
+      } else {
+        copyPromise = navigator.clipboard.writeText(
+          isHtml ? this.convertHtmlToPlainText(text) : text
         );
+      }
 
-        // -----------------------------------------------
-        // Source branch info only
+      copyPromise.then(
+        function () {
+          // Do nothing if copy was successful.
+        },
+        function () {
+          self.notifier.show("Unable to copy Merge Request info.");
+        }
+      );
+    }
 
-        if (this.preferences.display_source_and_target_branches) {
-          console.log(
-            "🔧 GitLab MR Enhancer: Adding source branch info for MR",
-            mergeRequest.iid
-          );
+    /**
+     * Converts HTML generated by a copy template to plain text, links being followed by their URL.
+     */
+    convertHtmlToPlainText(html) {
+      let body = new DOMParser().parseFromString(html, "text/html").body;
 
-          let newInfoLineToInject =
-            ' (<span class="project-ref-path has-tooltip" title="Source branch" style="opacity: 0.6;">' +
-            '<a class="ref-name" href="' +
-            this.baseProjectUrl +
-            "/-/commits/" +
-            mergeRequest.source_branch +
-            '">' +
-            mergeRequest.source_branch +
-            "</a>" +
-            "</span>)";
+      body.querySelectorAll("br").forEach(function (el) {
+        el.replaceWith("\n");
+      });
 
-          console.log(
-            "🔧 GitLab MR Enhancer: Branch HTML to inject:",
-            newInfoLineToInject
-          );
+      body.querySelectorAll("a[href]").forEach(function (el) {
+        if (el.textContent.trim() != el.getAttribute("href")) {
+          el.append(" (" + el.getAttribute("href") + ")");
+        }
+      });
 
-          // Try to find the target branch element and insert source branch after it
-          const targetBranchElement = mergeRequestNode.querySelector(
-            ".issuable-info .project-ref-path"
-          );
-          if (targetBranchElement) {
-            console.log(
-              "🔧 GitLab MR Enhancer: Found target branch element, inserting source branch after it"
-            );
-            // Insert the source branch right after the target branch element
-            targetBranchElement.insertAdjacentHTML(
-              "afterend",
-              newInfoLineToInject
-            );
-          } else {
-            console.error(
-              "❌ GitLab MR Enhancer: Could not find target branch element for MR",
-              mergeRequest.iid
+      return body.textContent.trim();
+    }
+
+    /**
+     * Attach a click event to all buttons inserted by the extension in the given Merge Request row allowing to toggle Merge Request draft status.
+     */
+    attachClickEventToToggleDraftStatusButtons(mergeRequestNode) {
+      let self = this;
+
+      mergeRequestNode
+        .querySelectorAll("button.gmrle-toggle-draft-status")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            self.toggleMergeRequestDraftStatus(
+              this.closest(".gmrle-merge-request"),
+              this
             );
+          });
+        });
+    }
+
+    /**
+     * Actually toggle a given Merge Request draft status.
+     */
+    toggleMergeRequestDraftStatus(mergeRequestNode, toggleButton) {
+      let self = this;
+
+      toggleButton.disabled = true;
+
+      this.apiClient
+        .updateProjectMergeRequest(
+          mergeRequestNode.dataset.projectId,
+          mergeRequestNode.dataset.iid,
+          {
+            title: this.buildToggledDraftStatusTitle(mergeRequestNode),
           }
-        } else {
-          console.log(
-            "🔧 GitLab MR Enhancer: Branch display is disabled in preferences"
+        )
+        .then(function (responseData) {
+          self.updateMergeRequestNodeFromPayload(
+            mergeRequestNode,
+            responseData
           );
-        }
-      }, this);
+        })
+        .catch(function () {
+          // Already reported to the user by the API client
+        })
+        .finally(function () {
+          toggleButton.disabled = false;
+        });
     }
 
     /**
-     * Sets several data-* attributes on a DOM node representing a Merge Request so these values may be used later.
+     * Creates the new title of a given Merge Request so its draft status is toggled. Every draft prefix GitLab
+     * recognizes (`Draft:`, `[Draft]`, `(Draft)` and the legacy `WIP:` and `[WIP]`) is removed first, so toggling
+     * never piles prefixes up.
      */
-    setDataAttributesToMergeRequestNode(mergeRequestNode, mergeRequest) {
-      mergeRequestNode.dataset.title = mergeRequest.title;
-      mergeRequestNode.dataset.iid = mergeRequest.iid;
-      mergeRequestNode.dataset.url = mergeRequest.web_url;
-      mergeRequestNode.dataset.diffsUrl = mergeRequest.web_url + "/diffs";
-      mergeRequestNode.dataset.authorName = mergeRequest.author.name;
-      mergeRequestNode.dataset.status = mergeRequest.state;
-      mergeRequestNode.dataset.sourceBranchName = mergeRequest.source_branch;
-      mergeRequestNode.dataset.targetBranchName = mergeRequest.target_branch;
-      mergeRequestNode.dataset.isWip = mergeRequest.work_in_progress;
+    buildToggledDraftStatusTitle(mergeRequestNode) {
+      let isDraft = mergeRequestNode.dataset.isDraft == "true";
+      let draftPrefixRegex = new RegExp(
+        "^\\s*(draft\\s*:|wip\\s*:|\\[(draft|wip)\\]|\\((draft|wip)\\))\\s*",
+        "i"
+      );
+      let title = mergeRequestNode.dataset.title.trim();
+
+      while (draftPrefixRegex.test(title)) {
+        title = title.replace(draftPrefixRegex, "");
+      }
+
+      if (isDraft) {
+        return title;
+      }
+
+      return this.preferences.draft_title_prefix + " " + title;
     }
 
     /**
-     * Finds a Jira ticket ID in the given Merge Request object. It first tris in the source branch name, then
-     * fallbacks to the Merge Request title.
+     * Reflects the changes made to a Merge Request through the API on its row, without enhancing it again.
      */
-    findFirstJiraTicketId(mergeRequest) {
-      let jiraTicketIdRegex = new RegExp("[A-Z]{1,10}-\\d+");
+    updateMergeRequestNodeFromPayload(mergeRequestNode, mergeRequest) {
+      this.mergeRequestsDetails[
+        mergeRequestNode.dataset.gmrleEnhancedReference
+      ] = mergeRequest;
+
+      this.setDataAttributesToMergeRequestNode(mergeRequestNode, mergeRequest);
+
+      let titleLinkNode = this.markupAdapter.getTitleLinkNode(
+        mergeRequestNode
+      );
 
-      // First try in the source branch name
-      let results = jiraTicketIdRegex.exec(mergeRequest.source_branch);
+      if (titleLinkNode) {
+        titleLinkNode.textContent = mergeRequest.title;
+      }
 
-      if (results) {
-        return results[0];
+      if (mergeRequest.state == "closed") {
+        mergeRequestNode.style.opacity = "0.5";
       }
+    }
 
-      // Fallback to the Merge Request title if none found in the source branch name
-      results = jiraTicketIdRegex.exec(mergeRequest.title);
+    /**
+     * Injects the floating toolbar allowing to perform actions on all selected Merge Requests at once.
+     */
+    createBulkActionsToolbar() {
+      let self = this;
+      let buttons = [["copy_info", "Copy info"]];
 
-      if (results) {
-        return results[0];
+      if (this.userAuthenticated) {
+        buttons.push(
+          ["toggle_draft_status", "Toggle draft"],
+          ["add_labels", "Add labels"],
+          ["remove_labels", "Remove labels"],
+          ["assign_reviewer", "Assign reviewer"],
+          ["close", "Close"]
+        );
       }
 
-      return null;
+      buttons.push(["clear", "Clear selection"]);
+
+      this.parseHtmlAndAppend(
+        document.body,
+        '<div class="gmrle-bulk-actions-toolbar gl-bg-white gl-border gl-rounded-base gl-shadow gl-p-3" style="position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); z-index: 1000; display: none;">' +
+          '<span class="gl-mr-3 gmrle-bulk-actions-count"></span>' +
+          buttons
+            .map(function (button) {
+              return (
+                '<button class="btn btn-default btn-sm gl-button gl-ml-2" data-bulk-action="' +
+                button[0] +
+                '">' +
+                button[1] +
+                "</button>"
+              );
+            })
+            .join("") +
+          "</div>"
+      );
+
+      this.bulkActionsToolbar = document.body.querySelector(
+        ".gmrle-bulk-actions-toolbar"
+      );
+
+      this.bulkActionsToolbar
+        .querySelectorAll("button[data-bulk-action]")
+        .forEach(function (el) {
+          el.addEventListener("click", function (e) {
+            e.preventDefault();
+
+            self.performBulkAction(this.dataset.bulkAction);
+          });
+        });
     }
 
     /**
-     * Creates an URL to a given Jira ticket ID, pointing to the Jira base URL the user has defined in its
-     * preferences.
+     * Returns all Merge Requests rows the user has selected.
      */
-    createJiraTicketUrl(jiraTicketId) {
-      let baseJiraUrl = new URL(this.preferences.base_jira_url);
+    getSelectedMergeRequestNodes() {
+      return Array.from(
+        document.querySelectorAll(
+          ".gmrle-merge-request .gmrle-bulk-select:checked"
+        )
+      ).map(function (el) {
+        return el.closest(".gmrle-merge-request");
+      });
+    }
 
-      if (!baseJiraUrl.pathname.endsWith("/")) {
-        baseJiraUrl.pathname += "/";
+    /**
+     * Shows the bulk actions toolbar along with the number of selected Merge Requests, or hides it if there's none.
+     */
+    updateBulkActionsToolbar() {
+      if (!this.bulkActionsToolbar) {
+        return;
       }
 
-      baseJiraUrl.pathname += "browse/" + jiraTicketId;
+      let selectedCount = this.getSelectedMergeRequestNodes().length;
 
-      return baseJiraUrl.toString();
+      this.bulkActionsToolbar.style.display = selectedCount > 0 ? "" : "none";
+      this.bulkActionsToolbar.querySelector(
+        ".gmrle-bulk-actions-count"
+      ).textContent =
+        selectedCount +
+        (selectedCount > 1 ? " Merge Requests" : " Merge Request") +
+        " selected";
     }
 
     /**
-     * Attach a click event to all buttons inserted by the extension allowing to copy the source and target
-     * branches name.
+     * Performs the given action on all selected Merge Requests.
      */
-    attachClickEventToCopyBranchNameButtons() {
-      document
-        .querySelectorAll("button.gmrle-copy-branch-name")
-        .forEach(function (el) {
-          el.addEventListener("click", function (e) {
-            e.preventDefault();
+    performBulkAction(action) {
+      let self = this;
+      let mergeRequestNodes = this.getSelectedMergeRequestNodes();
 
-            let branchName =
-              this.closest(".merge-request").dataset[
-                this.dataset.branchNameToCopy + "BranchName"
-              ];
+      if (mergeRequestNodes.length == 0) {
+        return;
+      }
 
-            navigator.clipboard.writeText(branchName).then(
-              function () {
-                // Do nothing if copy was successful.
-              },
-              function () {
-                alert("Unable to copy branch name.");
+      if (action == "clear") {
+        document
+          .querySelectorAll(".gmrle-bulk-select:checked")
+          .forEach(function (el) {
+            el.checked = false;
+          });
+
+        this.updateBulkActionsToolbar();
+      } else if (action == "copy_info") {
+        // Several Merge Requests are always copied using the first template
+        this.copyMergeRequestsInfo(
+          mergeRequestNodes,
+          this.preferences.copy_mr_info_templates[0]
+        );
+      } else if (action == "toggle_draft_status") {
+        this.performBulkUpdate(
+          mergeRequestNodes,
+          "Toggle draft",
+          function (mergeRequestNode) {
+            return {
+              title: self.buildToggledDraftStatusTitle(mergeRequestNode),
+            };
+          }
+        );
+      } else if (action == "add_labels" || action == "remove_labels") {
+        let labels = prompt(
+          "Labels to " +
+            (action == "add_labels" ? "add" : "remove") +
+            " (comma-separated):"
+        );
+
+        if (!labels || !labels.trim()) {
+          return;
+        }
+
+        this.performBulkUpdate(
+          mergeRequestNodes,
+          action == "add_labels" ? "Add labels" : "Remove labels",
+          function () {
+            let data = {};
+
+            data[action] = labels.trim();
+
+            return data;
+          }
+        );
+      } else if (action == "assign_reviewer") {
+        let username = prompt("Username of the reviewer to assign:");
+
+        if (!username || !username.trim()) {
+          return;
+        }
+
+        this.apiClient
+          .getUsersByUsername(username.trim().replace(/^@/, ""))
+          .then(function (users) {
+            if (users.length == 0) {
+              self.notifier.show(
+                "No user found with username " + username.trim() + ".",
+                { variant: "warning" }
+              );
+
+              return;
+            }
+
+            self.performBulkUpdate(
+              mergeRequestNodes,
+              "Assign reviewer",
+              function (mergeRequestNode) {
+                let mergeRequest =
+                  self.mergeRequestsDetails[
+                    mergeRequestNode.dataset.gmrleEnhancedReference
+                  ];
+
+                // Reviewers are replaced, not added: keep the existing ones
+                let reviewerIds = (mergeRequest.reviewers || []).map(function (
+                  reviewer
+                ) {
+                  return reviewer.id;
+                });
+
+                if (!reviewerIds.includes(users[0].id)) {
+                  reviewerIds.push(users[0].id);
+                }
+
+                return { reviewer_ids: reviewerIds };
               }
             );
+          })
+          .catch(function () {
+            // Already reported to the user by the API client
           });
+      } else if (action == "close") {
+        if (
+          !confirm(
+            "Close " +
+              mergeRequestNodes.length +
+              (mergeRequestNodes.length > 1
+                ? " Merge Requests?"
+                : " Merge Request?")
+          )
+        ) {
+          return;
+        }
+
+        this.performBulkUpdate(mergeRequestNodes, "Close", function () {
+          return { state_event: "close" };
         });
+      }
     }
 
     /**
-     * Attach a click event to all buttons inserted by the extension allowing to copy Merge Request info.
+     * Updates all the given Merge Requests with the data built by the given callback, then tells the user which
+     * ones succeeded and which ones failed.
      */
-    attachClickEventToCopyMergeRequestInfoButtons() {
+    performBulkUpdate(mergeRequestNodes, actionLabel, buildDataCallback) {
       let self = this;
+      let buttons = this.bulkActionsToolbar.querySelectorAll("button");
 
-      document
-        .querySelectorAll("button.gmrle-copy-mr-info")
-        .forEach(function (el) {
-          el.addEventListener("click", function (e) {
-            e.preventDefault();
+      buttons.forEach(function (el) {
+        el.disabled = true;
+      });
 
-            let text = self.buildMergeRequestInfoText(
-              this.closest(".merge-request")
-            );
+      this.apiClient
+        .sendBatchRequests(mergeRequestNodes, function (mergeRequestNode) {
+          return self.apiClient.updateProjectMergeRequest(
+            mergeRequestNode.dataset.projectId,
+            mergeRequestNode.dataset.iid,
+            buildDataCallback(mergeRequestNode),
+            false
+          );
+        })
+        .then(function (results) {
+          let failures = [];
 
-            navigator.clipboard.writeText(text).then(
-              function () {
-                // Do nothing if copy was successful.
-              },
-              function () {
-                alert("Unable to copy Merge Request info.");
-              }
-            );
+          results.forEach(function (result) {
+            if (result.ok) {
+              self.updateMergeRequestNodeFromPayload(result.item, result.value);
+            } else {
+              failures.push(
+                "!" +
+                  result.item.dataset.iid +
+                  ": " +
+                  (result.error instanceof Response
+                    ? result.error.status + " " + result.error.statusText
+                    : result.error)
+              );
+            }
+          });
+
+          let summary =
+            actionLabel +
+            ": " +
+            (results.length - failures.length) +
+            " succeeded, " +
+            failures.length +
+            " failed.";
+
+          if (failures.length == 0) {
+            self.notifier.show(summary, { variant: "success" });
+
+            return;
+          }
+
+          let failedMergeRequestNodes = results
+            .filter(function (result) {
+              return !result.ok;
+            })
+            .map(function (result) {
+              return result.item;
+            });
+
+          self.notifier.show(summary + "\n\n" + failures.join("\n"), {
+            actionLabel: "Retry failed ones",
+            onAction: function () {
+              self.performBulkUpdate(
+                failedMergeRequestNodes,
+                actionLabel,
+                buildDataCallback
+              );
+            },
+          });
+        })
+        .finally(function () {
+          buttons.forEach(function (el) {
+            el.disabled = false;
           });
         });
     }
 
     /**
-     * Attach a click event to all buttons inserted by the extension allowing to toggle Merge Request WIP status.
+     * Adds a button in the bottom right corner of the page, showing or hiding the diagnostics panel.
      */
-    attachClickEventToToggleWipStatusButtons() {
+    createDiagnosticsPanelToggle() {
       let self = this;
 
-      document
-        .querySelectorAll("button.gmrle-toggle-wip-status")
-        .forEach(function (el) {
-          el.addEventListener("click", function (e) {
-            e.preventDefault();
+      this.parseHtmlAndAppend(
+        document.body,
+        '<button class="btn btn-default btn-sm gl-button gmrle-diagnostics-toggle" title="GitLab MR Enhancer diagnostics" style="position: fixed; bottom: 20px; right: 20px; z-index: 1001;">🔧</button>'
+      );
 
-            self.toggleMergeRequestWipStatus(
-              this.closest(".merge-request"),
-              this
-            );
-          });
+      document.body
+        .querySelector(".gmrle-diagnostics-toggle")
+        .addEventListener("click", function (e) {
+          e.preventDefault();
+
+          self.toggleDiagnosticsPanel();
         });
     }
 
     /**
-     * Actually toggle a given Merge Request WIP status.
+     * Shows the diagnostics panel (creating it first if needed) with up-to-date information, or hides it.
      */
-    toggleMergeRequestWipStatus(mergeRequestNode, toggleButton) {
-      toggleButton.disabled = true;
+    toggleDiagnosticsPanel() {
+      let self = this;
 
-      let isWip = mergeRequestNode.dataset.isWip == "true";
-      let newTitle = "";
+      if (!this.diagnosticsPanel) {
+        this.parseHtmlAndAppend(
+          document.body,
+          '<div class="gmrle-diagnostics-panel gl-bg-white gl-border gl-rounded-base gl-shadow gl-p-4" style="position: fixed; bottom: 60px; right: 20px; z-index: 1001; width: 600px; max-width: 90vw; max-height: 70vh; overflow: auto; display: none;">' +
+            '<div class="gl-display-flex gl-align-items-center gl-mb-3">' +
+            '<strong class="gl-flex-grow-1">GitLab MR Enhancer diagnostics</strong>' +
+            '<button class="btn btn-default btn-sm gl-button gl-ml-2" data-diagnostics-action="refresh">Refresh</button>' +
+            '<button class="btn btn-confirm btn-sm gl-button gl-ml-2" data-diagnostics-action="copy">Copy bug report</button>' +
+            '<button class="btn btn-default btn-sm gl-button gl-ml-2" data-diagnostics-action="close">Close</button>' +
+            "</div>" +
+            '<div class="gmrle-diagnostics-content"></div>' +
+            "</div>"
+        );
 
-      if (isWip) {
-        newTitle = mergeRequestNode.dataset.title
-          .replace(new RegExp("^WIP:"), "")
-          .trim();
-      } else {
-        newTitle = "WIP: " + mergeRequestNode.dataset.title.trim();
+        this.diagnosticsPanel = document.body.querySelector(
+          ".gmrle-diagnostics-panel"
+        );
+
+        this.diagnosticsPanel
+          .querySelectorAll("button[data-diagnostics-action]")
+          .forEach(function (el) {
+            el.addEventListener("click", function (e) {
+              e.preventDefault();
+
+              if (this.dataset.diagnosticsAction == "refresh") {
+                self.updateDiagnosticsPanel();
+              } else if (this.dataset.diagnosticsAction == "copy") {
+                self.copyDiagnosticsReport(this);
+              } else {
+                self.toggleDiagnosticsPanel();
+              }
+            });
+          });
       }
 
-      this.apiClient
-        .updateProjectMergeRequest(
-          this.currentProjectId,
-          mergeRequestNode.dataset.iid,
-          {
-            title: newTitle,
+      let shown = this.diagnosticsPanel.style.display == "none";
+
+      this.diagnosticsPanel.style.display = shown ? "" : "none";
+
+      if (shown) {
+        this.updateDiagnosticsPanel();
+      }
+    }
+
+    /**
+     * Renders the diagnostics report in the diagnostics panel.
+     */
+    updateDiagnosticsPanel() {
+      let self = this;
+
+      let escapeHtml = function (value) {
+        return self.templateRenderer.escapeHtml(
+          value === null || value === undefined ? "-" : String(value)
+        );
+      };
+
+      let buildTable = function (headers, rows) {
+        return (
+          '<table class="table gl-table gl-font-sm gl-mb-3"><thead><tr>' +
+          headers
+            .map(function (header) {
+              return "<th>" + escapeHtml(header) + "</th>";
+            })
+            .join("") +
+          "</tr></thead><tbody>" +
+          rows
+            .map(function (row) {
+              return (
+                "<tr>" +
+                row
+                  .map(function (cell) {
+                    return "<td>" + escapeHtml(cell) + "</td>";
+                  })
+                  .join("") +
+                "</tr>"
+              );
+            })
+            .join("") +
+          "</tbody></table>"
+        );
+      };
+
+      let report = this.buildDiagnosticsReport();
+      let contentNode = this.diagnosticsPanel.querySelector(
+        ".gmrle-diagnostics-content"
+      );
+
+      contentNode.replaceChildren();
+
+      this.parseHtmlAndAppend(
+        contentNode,
+        buildTable(
+          ["Page", ""],
+          [
+            ["Extension version", report.extension_version],
+            ["Base URL", report.base_url],
+            ["Project ID", report.project_id],
+            ["Markup adapter", report.markup_adapter],
+            ["Logged-in", report.user_authenticated],
+            ["Rows resolved", report.rows.resolved],
+            ["Rows unresolved", report.rows.unresolved],
+          ]
+        ) +
+          buildTable(
+            ["Selector", "", "Matches"],
+            Object.keys(report.selectors).map(function (name) {
+              return [
+                name,
+                report.selectors[name].selector,
+                report.selectors[name].matches,
+              ];
+            })
+          ) +
+          buildTable(
+            ["API call", "Status", "Duration"],
+            report.api_calls
+              .slice()
+              .reverse()
+              .map(function (apiCall) {
+                return [
+                  apiCall.method + " " + apiCall.endpoint,
+                  apiCall.status || "Network error",
+                  apiCall.duration + " ms",
+                ];
+              })
+          ) +
+          buildTable(
+            ["Log", ""],
+            report.logs
+              .slice()
+              .reverse()
+              .map(function (entry) {
+                return [entry.level, entry.message];
+              })
+          )
+      );
+    }
+
+    /**
+     * Gathers everything useful to investigate an issue: the page and what the extension detected in it, the
+     * selectors of the markup adapter and how many elements they matched, the latest API calls and log messages, and
+     * the preferences.
+     */
+    buildDiagnosticsReport() {
+      let manifest = (globals.browser || globals.chrome).runtime.getManifest();
+      let selectors = this.markupAdapter.selectors;
+      let rows = this.rowResolver
+        ? this.rowResolver.resolveRows()
+        : { resolved: [], unresolved: [] };
+
+      return {
+        generated_at: new Date().toISOString(),
+        extension_version: manifest.version,
+        user_agent: navigator.userAgent,
+        page_url: location.href,
+        base_url: this.baseUrl,
+        project_id: this.currentProjectId,
+        markup_adapter: this.markupAdapter.constructor.name,
+        user_authenticated: this.markupAdapter.isUserAuthenticated(),
+        rows: {
+          resolved: rows.resolved.length,
+          unresolved: rows.unresolved.length,
+        },
+        selectors: Object.keys(selectors).reduce(function (report, name) {
+          report[name] = {
+            selector: selectors[name],
+            matches: document.querySelectorAll(selectors[name]).length,
+          };
+
+          return report;
+        }, {}),
+        api_calls: this.apiClient ? this.apiClient.requestsLog : [],
+        logs: this.logger.entries,
+        preferences: this.preferences,
+      };
+    }
+
+    /**
+     * Copies the diagnostics report as JSON, so it can be attached to a bug report, giving feedback on the given
+     * button.
+     */
+    copyDiagnosticsReport(button) {
+      let self = this;
+
+      navigator.clipboard
+        .writeText(JSON.stringify(this.buildDiagnosticsReport(), null, 2))
+        .then(
+          function () {
+            button.textContent = "Copied!";
+
+            setTimeout(function () {
+              button.textContent = "Copy bug report";
+            }, 2000);
+          },
+          function () {
+            self.notifier.show("Unable to copy bug report.");
           }
-        )
-        .then(function (responseData) {
-          mergeRequestNode.dataset.isWip = responseData.work_in_progress;
-          mergeRequestNode.dataset.title = responseData.title;
+        );
+    }
 
-          mergeRequestNode.querySelector(
-            ".merge-request-title-text a"
-          ).textContent = responseData.title;
-        })
-        .finally(function () {
-          toggleButton.disabled = false;
-        });
+    /**
+     * Creates the Merge Request info text from a Merge Request container DOM node, using the given copy template.
+     */
+    buildMergeRequestInfoText(mergeRequestNode, template) {
+      try {
+        return this.templateRenderer
+          .render(
+            template.format,
+            this.buildMergeRequestInfoVariables(mergeRequestNode),
+            template.output == "html" ? this.templateRenderer.escapeHtml : null
+          )
+          .trim();
+      } catch (e) {
+        this.logger.error("Invalid copy template:", e);
+
+        return template.format.trim();
+      }
     }
 
     /**
-     * Creates the Merge Request info text from a Merge Request container DOM node.
+     * Returns the variables available to the format used to copy the given Merge Request row information.
      */
-    buildMergeRequestInfoText(mergeRequestNode) {
-      let placeholders = {
+    buildMergeRequestInfoVariables(mergeRequestNode) {
+      let mergeRequest =
+        this.mergeRequestsDetails[
+          mergeRequestNode.dataset.gmrleEnhancedReference
+        ] || {};
+
+      let buildUsers = function (users) {
+        return (users || []).map(function (user) {
+          return { NAME: user.name, USERNAME: user.username };
+        });
+      };
+
+      let variables = {
         MR_TITLE: mergeRequestNode.dataset.title,
         MR_ID: mergeRequestNode.dataset.iid,
         MR_URL: mergeRequestNode.dataset.url,
         MR_DIFFS_URL: mergeRequestNode.dataset.diffsUrl,
         MR_AUTHOR_NAME: mergeRequestNode.dataset.authorName,
+        MR_AUTHOR_USERNAME: mergeRequest.author
+          ? mergeRequest.author.username
+          : "",
         MR_STATUS: mergeRequestNode.dataset.status,
+        MR_IS_DRAFT: mergeRequestNode.dataset.isDraft == "true",
         MR_SOURCE_BRANCH_NAME: mergeRequestNode.dataset.sourceBranchName,
         MR_TARGET_BRANCH_NAME: mergeRequestNode.dataset.targetBranchName,
-        MR_JIRA_TICKET_ID:
-          "jiraTicketId" in mergeRequestNode.dataset
-            ? mergeRequestNode.dataset.jiraTicketId
+        MR_TICKET_ID:
+          "ticketId" in mergeRequestNode.dataset
+            ? mergeRequestNode.dataset.ticketId
             : "",
-        MR_JIRA_TICKET_URL:
-          "jiraTicketUrl" in mergeRequestNode.dataset
-            ? mergeRequestNode.dataset.jiraTicketUrl
+        MR_TICKET_URL:
+          "ticketUrl" in mergeRequestNode.dataset
+            ? mergeRequestNode.dataset.ticketUrl
             : "",
+        MR_LABELS: (mergeRequest.labels || []).map(function (label) {
+          // Labels are objects if they were fetched using `with_labels_details`
+          return typeof label === "object" ? label.name : label;
+        }),
+        MR_MILESTONE: mergeRequest.milestone
+          ? mergeRequest.milestone.title
+          : "",
+        MR_ASSIGNEES: buildUsers(mergeRequest.assignees),
+        MR_REVIEWERS: buildUsers(mergeRequest.reviewers),
+        MR_PIPELINE_STATUS:
+          mergeRequestNode.dataset.pipelineStatus ||
+          (mergeRequest.head_pipeline ? mergeRequest.head_pipeline.status : ""),
+        // Only known once the Merge Request details were fetched (e.g. for its pipeline or merge status)
+        MR_CHANGES_COUNT: mergeRequest.changes_count || "",
       };
 
-      let placeholdersReplaceRegex = new RegExp(
-        "{(" + Object.keys(placeholders).join("|") + ")}",
-        "g"
-      );
+      // Kept for formats created when Jira was the only supported issue tracker
+      variables.MR_JIRA_TICKET_ID = variables.MR_TICKET_ID;
+      variables.MR_JIRA_TICKET_URL = variables.MR_TICKET_URL;
 
-      return this.preferences.copy_mr_info_format
-        .replace(placeholdersReplaceRegex, function (_, placeholder) {
-          return placeholders[placeholder];
-        })
-        .trim();
+      return variables;
     }
 
     /**
@@ -4,15 +4,18 @@
     class OptionsPage {
         /**
          * Class which handles everything related to the options page of the extension. Preferences are persisted in
-         * the browser's local storage.
+         * the browser's local (or synced, if enabled) storage.
          */
         constructor() {
             this.addBrowserDiscriminatingClassToBody();
 
             this.preferencesManager = new globals.Gmrle.PreferencesManager();
+            this.templateRenderer = new globals.Gmrle.TemplateRenderer();
 
             this.getDomNodes();
+            this.restoreProfilesFromStorage();
             this.restoreOptionsFromStorage();
+            this.restoreSyncStorageOptionFromStorage();
             this.attachEventListenersToDomNodes();
         }
 
@@ -23,55 +26,191 @@
             this.optionsForm = document.querySelector('form');
             this.submitButtonInOptionsForm = this.optionsForm.querySelector('button[type="submit"]');
 
+            this.profileSelect = document.querySelector('select#profile');
+            this.addProfileButton = document.querySelector('button#add-profile');
+            this.deleteProfileButton = document.querySelector('button#delete-profile');
+
             this.displaySourceTargetBranchesOptionsDiv = document.querySelector('div#display-source-target-branches-options');
             this.displaySourceAndTargetBranchesCheckbox = document.querySelector('input#display_source_and_target_branches');
             this.enableButtonsToCopySourceAndTargetBranchesNameCheckbox = document.querySelector('input#enable_buttons_to_copy_source_and_target_branches_name');
 
             this.copyMrInfoOptionsDiv = document.querySelector('div#copy-mr-info-options');
             this.enableButtonToCopyMrInfoCheckbox = document.querySelector('input#enable_button_to_copy_mr_info');
-            this.copyMrInfoFormatTextarea = document.querySelector('textarea#copy_mr_info_format');
+            this.copyMrInfoTemplatesDiv = document.querySelector('div#copy-mr-info-templates');
+            this.copyMrInfoTemplateTemplate = document.querySelector('template#copy-mr-info-template-template');
+            this.addCopyMrInfoTemplateButton = document.querySelector('button#add-copy-mr-info-template');
 
-            this.jiraTicketLinkOptionsDiv = document.querySelector('div#jira-ticket-link-options');
-            this.enableJiraTicketLinkCheckbox = document.querySelector('input#enable_jira_ticket_link');
-            this.baseJiraUrlInput = document.querySelector('input#base_jira_url');
-            this.jiraTicketLinkLabelTypeRadioButtons = Array.from(document.querySelectorAll('input[name="jira_ticket_link_label_type"]'));
+            this.issueTrackerLinksOptionsDiv = document.querySelector('div#issue-tracker-links-options');
+            this.enableIssueTrackerLinksCheckbox = document.querySelector('input#enable_issue_tracker_links');
+            this.issueTrackersDiv = document.querySelector('div#issue-trackers');
+            this.issueTrackerTemplate = document.querySelector('template#issue-tracker-template');
+            this.issueTrackerPresetSelect = document.querySelector('select#issue_tracker_preset');
+            this.addIssueTrackerButton = document.querySelector('button#add-issue-tracker');
 
             this.enableButtonToToggleWipStatusCheckbox = document.querySelector('input#enable_button_to_toggle_wip_status');
+            this.draftTitlePrefixSelect = document.querySelector('select#draft_title_prefix');
 
             this.enableUnresolvedDiscussionsIndicatorCheckbox = document.querySelector('input#enable_unresolved_discussions_indicator');
+
+            this.pipelineStatusOptionsDiv = document.querySelector('div#pipeline-status-options');
+            this.enablePipelineStatusIndicatorCheckbox = document.querySelector('input#enable_pipeline_status_indicator');
+            this.pipelineStatusRefreshIntervalInput = document.querySelector('input#pipeline_status_refresh_interval');
+
+            this.enableApprovalsIndicatorCheckbox = document.querySelector('input#enable_approvals_indicator');
+
+            this.enableDiffSizeIndicatorCheckbox = document.querySelector('input#enable_diff_size_indicator');
+
+            this.enableMergeStatusBadgesCheckbox = document.querySelector('input#enable_merge_status_badges');
+
+            this.enableButtonsToRebaseAndMergeCheckbox = document.querySelector('input#enable_buttons_to_rebase_and_merge');
+
+            this.enableBulkActionsCheckbox = document.querySelector('input#enable_bulk_actions');
+
+            this.enableReviewQueueOverlayCheckbox = document.querySelector('input#enable_review_queue_overlay');
+
+            this.stalenessOptionsDiv = document.querySelector('div#staleness-options');
+            this.enableStalenessIndicatorsCheckbox = document.querySelector('input#enable_staleness_indicators');
+            this.stalenessWarningDaysInput = document.querySelector('input#staleness_warning_days');
+            this.stalenessDangerDaysInput = document.querySelector('input#staleness_danger_days');
+            this.stalenessListOrderSelect = document.querySelector('select#staleness_list_order');
+
+            this.enableDiagnosticsPanelCheckbox = document.querySelector('input#enable_diagnostics_panel');
+            this.logLevelSelect = document.querySelector('select#log_level');
+            this.maxConcurrentApiRequestsInput = document.querySelector('input#max_concurrent_api_requests');
+
+            this.useSyncStorageCheckbox = document.querySelector('input#use_sync_storage');
+
+            this.exportPreferencesButton = document.querySelector('button#export-preferences');
+            this.importPreferencesButton = document.querySelector('button#import-preferences');
+            this.importPreferencesFileInput = document.querySelector('input#import-preferences-file');
+            this.importPreferencesPreviewDiv = document.querySelector('div#import-preferences-preview');
+            this.importPreferencesPreviewTitleDiv = document.querySelector('div#import-preferences-preview-title');
+            this.importPreferencesPreviewContentPre = document.querySelector('pre#import-preferences-preview-content');
+            this.applyImportPreferencesButton = document.querySelector('button#apply-import-preferences');
+            this.cancelImportPreferencesButton = document.querySelector('button#cancel-import-preferences');
         }
 
         /**
-         * Retrieve preferences from local storage and update the UI accordingly.
+         * Retrieve the profiles specific to a GitLab instance from local storage and list them.
+         */
+        restoreProfilesFromStorage() {
+            let self = this;
+
+            this.preferencesManager.getProfileNames().then(function(profileNames) {
+                profileNames.forEach(function(profileName) {
+                    self.addProfileOption(profileName);
+                });
+            });
+        }
+
+        /**
+         * Adds the given profile to the list of profiles that can be edited.
+         */
+        addProfileOption(profileName) {
+            let option = document.createElement('option');
+
+            option.value = profileName;
+            option.textContent = profileName;
+
+            this.profileSelect.append(option);
+        }
+
+        /**
+         * Retrieve preferences of the selected profile from local storage and update the UI accordingly.
          */
         restoreOptionsFromStorage() {
             let self = this;
 
-            this.preferencesManager.getAll(function(preferences) {
+            this.deleteProfileButton.disabled = !this.profileSelect.value;
+
+            this.preferencesManager.getAll(this.profileSelect.value || null).then(function(preferences) {
                 self.displaySourceAndTargetBranchesCheckbox.checked = preferences.display_source_and_target_branches;
                 self.displaySourceAndTargetBranchesCheckbox.dispatchEvent(new CustomEvent('change'));
 
                 self.enableButtonsToCopySourceAndTargetBranchesNameCheckbox.checked = preferences.enable_buttons_to_copy_source_and_target_branches_name;
 
+                self.copyMrInfoTemplatesDiv.textContent = '';
+
+                preferences.copy_mr_info_templates.forEach(function(template) {
+                    self.addCopyMrInfoTemplateNode(template);
+                });
+
                 self.enableButtonToCopyMrInfoCheckbox.checked = preferences.enable_button_to_copy_mr_info;
                 self.enableButtonToCopyMrInfoCheckbox.dispatchEvent(new CustomEvent('change'));
 
-                self.copyMrInfoFormatTextarea.value = preferences.copy_mr_info_format;
-
-                self.enableJiraTicketLinkCheckbox.checked = preferences.enable_jira_ticket_link;
-                self.enableJiraTicketLinkCheckbox.dispatchEvent(new CustomEvent('change'));
+                self.issueTrackersDiv.textContent = '';
 
-                self.baseJiraUrlInput.value = preferences.base_jira_url;
+                preferences.issue_trackers.forEach(function(issueTracker) {
+                    self.addIssueTrackerNode(issueTracker);
+                });
 
-                self.jiraTicketLinkLabelTypeRadioButtons.find(function(el) {
-                    return el.value == preferences.jira_ticket_link_label_type;
-                }).checked = true;
+                self.enableIssueTrackerLinksCheckbox.checked = preferences.enable_issue_tracker_links;
+                self.enableIssueTrackerLinksCheckbox.dispatchEvent(new CustomEvent('change'));
 
                 self.enableButtonToToggleWipStatusCheckbox.checked = preferences.enable_button_to_toggle_wip_status;
                 self.enableButtonToToggleWipStatusCheckbox.dispatchEvent(new CustomEvent('change'));
 
+                self.draftTitlePrefixSelect.value = preferences.draft_title_prefix;
+
                 self.enableUnresolvedDiscussionsIndicatorCheckbox.checked = preferences.enable_unresolved_discussions_indicator;
                 self.enableUnresolvedDiscussionsIndicatorCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enablePipelineStatusIndicatorCheckbox.checked = preferences.enable_pipeline_status_indicator;
+                self.enablePipelineStatusIndicatorCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.pipelineStatusRefreshIntervalInput.value = preferences.pipeline_status_refresh_interval;
+
+                self.enableApprovalsIndicatorCheckbox.checked = preferences.enable_approvals_indicator;
+                self.enableApprovalsIndicatorCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableDiffSizeIndicatorCheckbox.checked = preferences.enable_diff_size_indicator;
+                self.enableDiffSizeIndicatorCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableMergeStatusBadgesCheckbox.checked = preferences.enable_merge_status_badges;
+                self.enableMergeStatusBadgesCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableButtonsToRebaseAndMergeCheckbox.checked = preferences.enable_buttons_to_rebase_and_merge;
+                self.enableButtonsToRebaseAndMergeCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableBulkActionsCheckbox.checked = preferences.enable_bulk_actions;
+                self.enableBulkActionsCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableReviewQueueOverlayCheckbox.checked = preferences.enable_review_queue_overlay;
+                self.enableReviewQueueOverlayCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.enableStalenessIndicatorsCheckbox.checked = preferences.enable_staleness_indicators;
+                self.enableStalenessIndicatorsCheckbox.dispatchEvent(new CustomEvent('change'));
+
+                self.stalenessWarningDaysInput.value = preferences.staleness_warning_days;
+                self.stalenessWarningDaysInput.dispatchEvent(new CustomEvent('input'));
+                self.stalenessDangerDaysInput.value = preferences.staleness_danger_days;
+                self.stalenessListOrderSelect.value = preferences.staleness_list_order;
+
+                self.enableDiagnosticsPanelCheckbox.checked = preferences.enable_diagnostics_panel;
+                self.logLevelSelect.value = preferences.log_level;
+                self.maxConcurrentApiRequestsInput.value = preferences.max_concurrent_api_requests;
+            }).catch(function(error) {
+                self.showError('Preferences couldn\'t be displayed', error);
+            });
+        }
+
+        /**
+         * Tell the user an operation failed because of the given error.
+         */
+        showError(message, error) {
+            console.error(message + ':', error);
+
+            alert(message + ': ' + (error && error.message ? error.message : error));
+        }
+
+        /**
+         * Retrieve from local storage whether preferences are synced across browsers and update the UI accordingly.
+         */
+        restoreSyncStorageOptionFromStorage() {
+            let self = this;
+
+            this.preferencesManager.isSyncStorageEnabled().then(function(syncStorageEnabled) {
+                self.useSyncStorageCheckbox.checked = syncStorageEnabled;
             });
         }
 
@@ -95,6 +234,47 @@
                 self.saveOptionsToStorage();
             });
 
+            this.profileSelect.addEventListener('change', function() {
+                self.restoreOptionsFromStorage();
+            });
+
+            this.addProfileButton.addEventListener('click', function() {
+                let profileName = prompt('Host of the GitLab instance this profile is for (e.g. gitlab.example.com):');
+
+                if (!profileName || !profileName.trim()) {
+                    return;
+                }
+
+                profileName = profileName.trim().toLowerCase();
+
+                let alreadyExists = Array.from(self.profileSelect.options).some(function(el) {
+                    return el.value == profileName;
+                });
+
+                if (!alreadyExists) {
+                    self.addProfileOption(profileName);
+                }
+
+                // The new profile starts from the preferences currently displayed and is created when saved
+                self.profileSelect.value = profileName;
+                self.deleteProfileButton.disabled = false;
+            });
+
+            this.deleteProfileButton.addEventListener('click', function() {
+                let profileName = self.profileSelect.value;
+
+                if (!profileName || !confirm('Delete the ' + profileName + ' profile?')) {
+                    return;
+                }
+
+                self.preferencesManager.deleteProfile(profileName).then(function() {
+                    self.profileSelect.querySelector('option[value="' + CSS.escape(profileName) + '"]').remove();
+                    self.profileSelect.value = '';
+
+                    self.restoreOptionsFromStorage();
+                });
+            });
+
             this.displaySourceAndTargetBranchesCheckbox.addEventListener('change', function() {
                 self.displaySourceTargetBranchesOptionsDiv.classList.toggle('is-hidden', !this.checked);
 
@@ -103,22 +283,36 @@
 
             this.enableButtonToCopyMrInfoCheckbox.addEventListener('change', function() {
                 self.copyMrInfoOptionsDiv.classList.toggle('is-hidden', !this.checked);
-                self.copyMrInfoFormatTextarea.toggleAttribute('required', this.checked);
+
+                // Disabled fields aren't validated
+                self.copyMrInfoTemplatesDiv.querySelectorAll('fieldset').forEach(function(el) {
+                    el.disabled = !this.checked;
+                }, this);
 
                 self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
             });
 
-            this.enableJiraTicketLinkCheckbox.addEventListener('change', function() {
-                self.jiraTicketLinkOptionsDiv.classList.toggle('is-hidden', !this.checked);
-                self.baseJiraUrlInput.toggleAttribute('required', this.checked);
+            this.addCopyMrInfoTemplateButton.addEventListener('click', function() {
+                self.addCopyMrInfoTemplateNode({name: '', output: 'text', format: ''});
+            });
+
+            this.enableIssueTrackerLinksCheckbox.addEventListener('change', function() {
+                self.issueTrackerLinksOptionsDiv.classList.toggle('is-hidden', !this.checked);
 
-                self.jiraTicketLinkLabelTypeRadioButtons.forEach(function(el) {
-                    el.toggleAttribute('required', this.checked);
+                // Disabled fields aren't validated
+                self.issueTrackersDiv.querySelectorAll('fieldset').forEach(function(el) {
+                    el.disabled = !this.checked;
                 }, this);
 
                 self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
             });
 
+            this.addIssueTrackerButton.addEventListener('click', function() {
+                let preset = self.issueTrackerPresets[self.issueTrackerPresetSelect.value];
+
+                self.addIssueTrackerNode(preset || {});
+            });
+
             this.enableButtonToToggleWipStatusCheckbox.addEventListener('change', function() {
                 self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
             });
@@ -126,37 +320,459 @@
             this.enableUnresolvedDiscussionsIndicatorCheckbox.addEventListener('change', function() {
                 self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
             });
+
+            this.enablePipelineStatusIndicatorCheckbox.addEventListener('change', function() {
+                self.pipelineStatusOptionsDiv.classList.toggle('is-hidden', !this.checked);
+                self.pipelineStatusRefreshIntervalInput.toggleAttribute('required', this.checked);
+
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableApprovalsIndicatorCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableDiffSizeIndicatorCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableMergeStatusBadgesCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableButtonsToRebaseAndMergeCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableBulkActionsCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableReviewQueueOverlayCheckbox.addEventListener('change', function() {
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.enableStalenessIndicatorsCheckbox.addEventListener('change', function() {
+                self.stalenessOptionsDiv.classList.toggle('is-hidden', !this.checked);
+                self.stalenessWarningDaysInput.toggleAttribute('required', this.checked);
+                self.stalenessDangerDaysInput.toggleAttribute('required', this.checked);
+
+                self.forceUserToEnableAtLeastOneFeatureIfNecessarily();
+            });
+
+            this.stalenessWarningDaysInput.addEventListener('input', function() {
+                // Red can only come after yellow
+                self.stalenessDangerDaysInput.min = this.value || 1;
+            });
+
+            this.useSyncStorageCheckbox.addEventListener('change', function() {
+                let checkbox = this;
+
+                checkbox.disabled = true;
+
+                self.preferencesManager.setSyncStorageEnabled(checkbox.checked).then(function() {
+                    checkbox.disabled = false;
+                }, function() {
+                    checkbox.checked = !checkbox.checked;
+                    checkbox.disabled = false;
+                });
+            });
+
+            this.exportPreferencesButton.addEventListener('click', function() {
+                self.exportPreferences();
+            });
+
+            this.importPreferencesButton.addEventListener('click', function() {
+                self.importPreferencesFileInput.click();
+            });
+
+            this.importPreferencesFileInput.addEventListener('change', function() {
+                let file = this.files[0];
+
+                this.value = '';
+
+                if (!file) {
+                    return;
+                }
+
+                file.text().then(function(content) {
+                    let exportedPreferences;
+
+                    try {
+                        exportedPreferences = JSON.parse(content);
+                    } catch (e) {
+                        alert('This file isn\'t a valid JSON file: ' + e.message);
+
+                        return;
+                    }
+
+                    self.previewImportedPreferences(exportedPreferences);
+                });
+            });
+
+            this.applyImportPreferencesButton.addEventListener('click', function() {
+                // Errors thrown while converting the preferences are handled along with the storage ones
+                Promise.resolve().then(function() {
+                    return self.preferencesManager.importAll(self.pendingImportedPreferences);
+                }).then(function() {
+                    location.reload();
+                }).catch(function(error) {
+                    self.showError('Preferences couldn\'t be imported', error);
+                });
+            });
+
+            this.cancelImportPreferencesButton.addEventListener('click', function() {
+                self.pendingImportedPreferences = null;
+                self.importPreferencesPreviewDiv.classList.add('is-hidden');
+            });
         }
 
         /**
-         * Take all DOM nodes values and persist them in the local storage.
+         * Download all the user's preferences (global profile and profiles specific to a GitLab instance) as a JSON
+         * file.
          */
-        saveOptionsToStorage() {
+        exportPreferences() {
+            this.preferencesManager.exportAll().then(function(exportedPreferences) {
+                let blob = new Blob([JSON.stringify(exportedPreferences, null, 2)], {type: 'application/json'});
+                let link = document.createElement('a');
+
+                link.href = URL.createObjectURL(blob);
+                link.download = 'gitlab-mr-enhancer-preferences.json';
+
+                document.body.append(link);
+                link.click();
+                link.remove();
+
+                URL.revokeObjectURL(link.href);
+            });
+        }
+
+        /**
+         * Validate the given preferences to import, then display the changes they would imply so the user can
+         * confirm they should be applied.
+         */
+        previewImportedPreferences(exportedPreferences) {
             let self = this;
 
-            let jira_ticket_link_label_type = this.jiraTicketLinkLabelTypeRadioButtons.find(function(el) {
-                return el.checked;
-            }).value;
+            let errors = this.preferencesManager.validateExportedPreferences(exportedPreferences);
+
+            if (errors.length > 0) {
+                alert('These preferences can\'t be imported:\n\n' + errors.join('\n'));
+
+                return;
+            }
+
+            exportedPreferences = this.preferencesManager.migrateExportedPreferences(exportedPreferences);
+
+            this.preferencesManager.exportAll().then(function(currentPreferences) {
+                let changes = self.buildPreferencesChanges(
+                    currentPreferences.preferences,
+                    Object.assign(self.preferencesManager.defaults, exportedPreferences.preferences),
+                    'Global'
+                );
+
+                let profileNames = new Set(Object.keys(currentPreferences.profiles).concat(Object.keys(exportedPreferences.profiles)));
+
+                profileNames.forEach(function(profileName) {
+                    if (!(profileName in exportedPreferences.profiles)) {
+                        changes.push('- Profile ' + profileName + ' (removed)');
+                    } else if (!(profileName in currentPreferences.profiles)) {
+                        changes.push('+ Profile ' + profileName + ' (added)');
+                    } else {
+                        changes = changes.concat(self.buildPreferencesChanges(
+                            currentPreferences.profiles[profileName],
+                            exportedPreferences.profiles[profileName],
+                            'Profile ' + profileName
+                        ));
+                    }
+                });
+
+                self.pendingImportedPreferences = exportedPreferences;
+
+                self.importPreferencesPreviewTitleDiv.textContent = changes.length > 0
+                    ? 'Importing these preferences will apply the following changes:'
+                    : 'These preferences are identical to the current ones.';
+                self.importPreferencesPreviewContentPre.textContent = changes.join('\n');
+                self.importPreferencesPreviewContentPre.classList.toggle('is-hidden', changes.length == 0);
+                self.applyImportPreferencesButton.disabled = changes.length == 0;
+                self.importPreferencesPreviewDiv.classList.remove('is-hidden');
+            });
+        }
+
+        /**
+         * Returns a human readable line for each preference that differs between the two given sets of preferences.
+         */
+        buildPreferencesChanges(currentPreferences, newPreferences, label) {
+            let keys = new Set(Object.keys(currentPreferences).concat(Object.keys(newPreferences)));
+
+            return Array.from(keys).filter(function(key) {
+                return JSON.stringify(currentPreferences[key]) !== JSON.stringify(newPreferences[key]);
+            }).map(function(key) {
+                let currentValue = key in currentPreferences ? JSON.stringify(currentPreferences[key]) : '(unset)';
+                let newValue = key in newPreferences ? JSON.stringify(newPreferences[key]) : '(unset)';
+
+                return '~ ' + label + ' › ' + key + ': ' + currentValue + ' → ' + newValue;
+            });
+        }
+
+        /**
+         * Take all DOM nodes values and persist them in the local storage, in the selected profile.
+         */
+        saveOptionsToStorage() {
+            let self = this;
 
             this.preferencesManager.setAll(
                 {
                     display_source_and_target_branches: this.displaySourceAndTargetBranchesCheckbox.checked,
                     enable_buttons_to_copy_source_and_target_branches_name: this.enableButtonsToCopySourceAndTargetBranchesNameCheckbox.checked,
                     enable_button_to_copy_mr_info: this.enableButtonToCopyMrInfoCheckbox.checked,
-                    copy_mr_info_format: this.copyMrInfoFormatTextarea.value,
-                    enable_jira_ticket_link: this.enableJiraTicketLinkCheckbox.checked,
-                    base_jira_url: this.baseJiraUrlInput.value,
-                    jira_ticket_link_label_type: jira_ticket_link_label_type,
+                    copy_mr_info_templates: this.getCopyMrInfoTemplatesFromNodes(),
+                    enable_issue_tracker_links: this.enableIssueTrackerLinksCheckbox.checked,
+                    issue_trackers: this.getIssueTrackersFromNodes(),
                     enable_button_to_toggle_wip_status: this.enableButtonToToggleWipStatusCheckbox.checked,
-                    enable_unresolved_discussions_indicator: this.enableUnresolvedDiscussionsIndicatorCheckbox.checked
+                    draft_title_prefix: this.draftTitlePrefixSelect.value,
+                    enable_unresolved_discussions_indicator: this.enableUnresolvedDiscussionsIndicatorCheckbox.checked,
+                    enable_pipeline_status_indicator: this.enablePipelineStatusIndicatorCheckbox.checked,
+                    pipeline_status_refresh_interval: parseInt(this.pipelineStatusRefreshIntervalInput.value, 10) || 0,
+                    enable_approvals_indicator: this.enableApprovalsIndicatorCheckbox.checked,
+                    enable_diff_size_indicator: this.enableDiffSizeIndicatorCheckbox.checked,
+                    enable_merge_status_badges: this.enableMergeStatusBadgesCheckbox.checked,
+                    enable_buttons_to_rebase_and_merge: this.enableButtonsToRebaseAndMergeCheckbox.checked,
+                    enable_bulk_actions: this.enableBulkActionsCheckbox.checked,
+                    enable_review_queue_overlay: this.enableReviewQueueOverlayCheckbox.checked,
+                    enable_staleness_indicators: this.enableStalenessIndicatorsCheckbox.checked,
+                    staleness_warning_days: parseInt(this.stalenessWarningDaysInput.value, 10) || 1,
+                    staleness_danger_days: parseInt(this.stalenessDangerDaysInput.value, 10) || 1,
+                    staleness_list_order: this.stalenessListOrderSelect.value,
+                    enable_diagnostics_panel: this.enableDiagnosticsPanelCheckbox.checked,
+                    log_level: this.logLevelSelect.value,
+                    max_concurrent_api_requests: parseInt(this.maxConcurrentApiRequestsInput.value, 10) || 1
+                },
+                this.profileSelect.value || null
+            ).then(function() {
+                self.setSuccessfulVisualFeedbackOnSubmitButton();
+            }, function() {
+                self.revertVisualFeedbackOnSubmitButton();
+            });
+        }
+
+        /**
+         * Variables of a fictitious Merge Request, used to preview the format used to copy Merge Request information.
+         */
+        get sampleMergeRequestInfoVariables() {
+            return {
+                MR_TITLE: 'Draft: Add a dark theme to the settings page',
+                MR_ID: 42,
+                MR_URL: 'https://gitlab.example.com/acme/website/-/merge_requests/42',
+                MR_DIFFS_URL: 'https://gitlab.example.com/acme/website/-/merge_requests/42/diffs',
+                MR_AUTHOR_NAME: 'Jane Doe',
+                MR_AUTHOR_USERNAME: 'jdoe',
+                MR_STATUS: 'opened',
+                MR_IS_DRAFT: true,
+                MR_SOURCE_BRANCH_NAME: 'feature/WEB-123-dark-theme',
+                MR_TARGET_BRANCH_NAME: 'main',
+                MR_TICKET_ID: 'WEB-123',
+                MR_TICKET_URL: 'https://acme.atlassian.net/browse/WEB-123',
+                MR_JIRA_TICKET_ID: 'WEB-123',
+                MR_JIRA_TICKET_URL: 'https://acme.atlassian.net/browse/WEB-123',
+                MR_LABELS: ['frontend', 'UX'],
+                MR_MILESTONE: 'v2.1',
+                MR_ASSIGNEES: [{NAME: 'Jane Doe', USERNAME: 'jdoe'}],
+                MR_REVIEWERS: [{NAME: 'John Smith', USERNAME: 'jsmith'}, {NAME: 'Alex Martin', USERNAME: 'amartin'}],
+                MR_PIPELINE_STATUS: 'success',
+                MR_CHANGES_COUNT: '8'
+            };
+        }
+
+        /**
+         * Adds the form fields allowing to edit the given template used to copy Merge Request information.
+         */
+        addCopyMrInfoTemplateNode(template) {
+            let self = this;
+            let fieldset = this.copyMrInfoTemplateTemplate.content.firstElementChild.cloneNode(true);
+
+            ['name', 'output', 'format'].forEach(function(fieldName) {
+                if (fieldName in template) {
+                    fieldset.elements[fieldName].value = template[fieldName];
+                }
+            });
+
+            fieldset.elements.format.addEventListener('input', function() {
+                self.updateCopyMrInfoTemplatePreview(fieldset);
+            });
+
+            fieldset.elements.output.addEventListener('change', function() {
+                self.updateCopyMrInfoTemplatePreview(fieldset);
+            });
+
+            fieldset.querySelector('button[data-action="remove"]').addEventListener('click', function() {
+                fieldset.remove();
+
+                self.updateCopyMrInfoTemplatesRemoveButtons();
+            });
+
+            fieldset.disabled = !this.enableButtonToCopyMrInfoCheckbox.checked;
+
+            this.copyMrInfoTemplatesDiv.append(fieldset);
+
+            this.updateCopyMrInfoTemplatePreview(fieldset);
+            this.updateCopyMrInfoTemplatesRemoveButtons();
+        }
+
+        /**
+         * Prevents the user from removing the last template used to copy Merge Request information.
+         */
+        updateCopyMrInfoTemplatesRemoveButtons() {
+            let removeButtons = this.copyMrInfoTemplatesDiv.querySelectorAll('button[data-action="remove"]');
+
+            removeButtons.forEach(function(el) {
+                el.disabled = removeButtons.length == 1;
+            });
+        }
+
+        /**
+         * Renders the given template used to copy Merge Request information against a sample Merge Request, reporting
+         * syntax errors on its format field.
+         */
+        updateCopyMrInfoTemplatePreview(fieldset) {
+            let format = fieldset.elements.format.value;
+            let isHtml = fieldset.elements.output.value == 'html';
+            let error = this.templateRenderer.validate(format);
+            let textPreview = fieldset.querySelector('[data-preview="text"]');
+            let htmlPreview = fieldset.querySelector('[data-preview="html"]');
+
+            fieldset.elements.format.setCustomValidity(error ? 'Invalid format: ' + error : '');
+
+            textPreview.classList.toggle('is-hidden', isHtml && !error);
+            htmlPreview.classList.toggle('is-hidden', !isHtml || !!error);
+
+            if (error) {
+                textPreview.textContent = '⚠️ ' + error;
+            } else if (isHtml) {
+                // The preview is sandboxed, so templates can't run anything
+                htmlPreview.srcdoc = this.templateRenderer.render(format, this.sampleMergeRequestInfoVariables, this.templateRenderer.escapeHtml);
+            } else {
+                textPreview.textContent = this.templateRenderer.render(format, this.sampleMergeRequestInfoVariables).trim();
+            }
+        }
+
+        /**
+         * Returns the templates used to copy Merge Request information from their form fields.
+         */
+        getCopyMrInfoTemplatesFromNodes() {
+            return Array.from(this.copyMrInfoTemplatesDiv.querySelectorAll('fieldset')).map(function(fieldset) {
+                return {
+                    name: fieldset.elements.name.value,
+                    output: fieldset.elements.output.value,
+                    format: fieldset.elements.format.value
+                };
+            });
+        }
+
+        /**
+         * Issue trackers definitions the user can start from when adding an issue tracker.
+         */
+        get issueTrackerPresets() {
+            return {
+                jira: {
+                    name: 'Jira',
+                    pattern: '[A-Z]{1,10}-\\d+',
+                    url_template: 'https://your-company.atlassian.net/browse/{TICKET_ID}',
+                    label_type: 'ticket_id',
+                    icon: 'issues'
+                },
+                linear: {
+                    name: 'Linear',
+                    pattern: '[A-Z]{2,7}-\\d+',
+                    url_template: 'https://linear.app/your-team/issue/{TICKET_ID}',
+                    label_type: 'ticket_id',
+                    icon: 'issues'
                 },
-                function() {
-                    self.setSuccessfulVisualFeedbackOnSubmitButton();
+                youtrack: {
+                    name: 'YouTrack',
+                    pattern: '[A-Z][A-Z0-9]+-\\d+',
+                    url_template: 'https://your-company.youtrack.cloud/issue/{TICKET_ID}',
+                    label_type: 'ticket_id',
+                    icon: 'issues'
                 },
-                function() {
-                    self.revertVisualFeedbackOnSubmitButton();
+                github: {
+                    name: 'GitHub',
+                    pattern: 'GH-(\\d+)',
+                    url_template: 'https://github.com/owner/repository/issues/{1}',
+                    label_type: 'ticket_id',
+                    icon: 'github'
+                },
+                gitlab: {
+                    name: 'GitLab',
+                    pattern: '#(\\d+)',
+                    url_template: '{PROJECT_URL}/-/issues/{1}',
+                    label_type: 'ticket_id',
+                    icon: 'issues'
+                }
+            };
+        }
+
+        /**
+         * Adds the form fields allowing to edit the given issue tracker definition.
+         */
+        addIssueTrackerNode(issueTracker) {
+            let fieldset = this.issueTrackerTemplate.content.firstElementChild.cloneNode(true);
+
+            ['name', 'pattern', 'url_template', 'label_type', 'icon'].forEach(function(fieldName) {
+                if (fieldName in issueTracker) {
+                    fieldset.elements[fieldName].value = issueTracker[fieldName];
                 }
-            );
+            });
+
+            fieldset.elements.pattern.addEventListener('input', function() {
+                try {
+                    new RegExp(this.value);
+
+                    this.setCustomValidity('');
+                } catch (e) {
+                    this.setCustomValidity('Invalid regular expression: ' + e.message);
+                }
+            });
+
+            let preferencesManager = this.preferencesManager;
+            let urlTemplateField = fieldset.elements.url_template;
+
+            let validateUrlTemplate = function() {
+                let error = preferencesManager.getValueError(
+                    'URL template',
+                    preferencesManager.schema.issue_trackers.items.url_template,
+                    urlTemplateField.value
+                );
+
+                urlTemplateField.setCustomValidity(error || '');
+            };
+
+            urlTemplateField.addEventListener('input', validateUrlTemplate);
+
+            validateUrlTemplate();
+
+            fieldset.querySelector('button[data-action="remove"]').addEventListener('click', function() {
+                fieldset.remove();
+            });
+
+            fieldset.disabled = !this.enableIssueTrackerLinksCheckbox.checked;
+
+            this.issueTrackersDiv.append(fieldset);
+        }
+
+        /**
+         * Returns the issue trackers definitions from their form fields.
+         */
+        getIssueTrackersFromNodes() {
+            return Array.from(this.issueTrackersDiv.querySelectorAll('fieldset')).map(function(fieldset) {
+                return {
+                    name: fieldset.elements.name.value,
+                    pattern: fieldset.elements.pattern.value,
+                    url_template: fieldset.elements.url_template.value,
+                    label_type: fieldset.elements.label_type.value,
+                    icon: fieldset.elements.icon.value
+                };
+            });
         }
 
         /**
@@ -182,9 +798,17 @@
         hasUserDisabledAllFeatures() {
             return !this.displaySourceAndTargetBranchesCheckbox.checked
                 && !this.enableButtonToCopyMrInfoCheckbox.checked
-                && !this.enableJiraTicketLinkCheckbox.checked
+                && !this.enableIssueTrackerLinksCheckbox.checked
                 && !this.enableButtonToToggleWipStatusCheckbox.checked
-                && !this.enableUnresolvedDiscussionsIndicatorCheckbox.checked;
+                && !this.enableUnresolvedDiscussionsIndicatorCheckbox.checked
+                && !this.enablePipelineStatusIndicatorCheckbox.checked
+                && !this.enableApprovalsIndicatorCheckbox.checked
+                && !this.enableDiffSizeIndicatorCheckbox.checked
+                && !this.enableMergeStatusBadgesCheckbox.checked
+                && !this.enableButtonsToRebaseAndMergeCheckbox.checked
+                && !this.enableBulkActionsCheckbox.checked
+                && !this.enableReviewQueueOverlayCheckbox.checked
+                && !this.enableStalenessIndicatorsCheckbox.checked;
         }
 
         /**
@@ -4,93 +4,650 @@
     globals.Gmrle = globals.Gmrle || {};
 
     globals.Gmrle.PreferencesManager = class {
-        get defaults() {
+        /**
+         * The type and default value of every preference, plus optional constraints (`values`: allowed values,
+         * `min`: minimum value of numbers, `format`: `regexp` or `template` for strings which must be a valid regular
+         * expression or text template, `prefixes`: allowed beginnings of strings, `items`: definition of every field of
+         * the objects of arrays, which are required unless `optional`).
+         *
+         * Whenever a preference is renamed or its type changes, increment `schemaVersion` and add a step to
+         * `migrations` converting stored preferences to the new schema.
+         */
+        get schema() {
             return {
-                display_source_and_target_branches: true,
-                enable_buttons_to_copy_source_and_target_branches_name: true,
-                enable_button_to_copy_mr_info: true,
-                copy_mr_info_format: 'MR {MR_ID} (from {MR_AUTHOR_NAME}): {MR_TITLE}\n{MR_URL}',
-                enable_jira_ticket_link: false,
-                base_jira_url: '',
-                jira_ticket_link_label_type: 'ticket_id',
-                enable_button_to_toggle_wip_status: true,
-                enable_unresolved_discussions_indicator: true
+                display_source_and_target_branches: {type: 'boolean', default: true},
+                enable_buttons_to_copy_source_and_target_branches_name: {type: 'boolean', default: true},
+                enable_button_to_copy_mr_info: {type: 'boolean', default: true},
+                copy_mr_info_templates: {
+                    type: 'array',
+                    items: {
+                        name: {type: 'string'},
+                        output: {type: 'string', values: ['text', 'html']},
+                        format: {type: 'string', format: 'template'}
+                    },
+                    default: [
+                        {name: 'Plain text', output: 'text', format: 'MR {MR_ID} (from {MR_AUTHOR_NAME}): {MR_TITLE}\n{MR_URL}'},
+                        {name: 'Markdown', output: 'text', format: '[!{MR_ID} {MR_TITLE|escape_markdown}]({MR_URL}) (from {MR_AUTHOR_NAME})'},
+                        {name: 'Rich text (Slack, Outlook...)', output: 'html', format: '<a href="{MR_URL}">!{MR_ID} {MR_TITLE}</a> (from {MR_AUTHOR_NAME})'}
+                    ]
+                },
+                enable_issue_tracker_links: {type: 'boolean', default: false},
+                issue_trackers: {
+                    type: 'array',
+                    items: {
+                        name: {type: 'string'},
+                        pattern: {type: 'string', format: 'regexp'},
+                        // Ticket links are clickable: other schemes (e.g. `javascript:`) aren't allowed
+                        url_template: {type: 'string', prefixes: ['http://', 'https://', '{PROJECT_URL}']},
+                        label_type: {type: 'string', values: ['ticket_id', 'icon']},
+                        icon: {type: 'string', optional: true}
+                    },
+                    default: []
+                },
+                enable_button_to_toggle_wip_status: {type: 'boolean', default: true},
+                draft_title_prefix: {type: 'string', default: 'Draft:', values: ['Draft:', '[Draft]', '(Draft)', 'WIP:']},
+                enable_unresolved_discussions_indicator: {type: 'boolean', default: true},
+                enable_pipeline_status_indicator: {type: 'boolean', default: true},
+                pipeline_status_refresh_interval: {type: 'number', default: 30, min: 0},
+                enable_approvals_indicator: {type: 'boolean', default: true},
+                enable_diff_size_indicator: {type: 'boolean', default: true},
+                enable_merge_status_badges: {type: 'boolean', default: true},
+                enable_buttons_to_rebase_and_merge: {type: 'boolean', default: true},
+                enable_bulk_actions: {type: 'boolean', default: true},
+                enable_review_queue_overlay: {type: 'boolean', default: true},
+                enable_staleness_indicators: {type: 'boolean', default: true},
+                staleness_warning_days: {type: 'number', default: 3, min: 1},
+                staleness_danger_days: {type: 'number', default: 7, min: 1},
+                staleness_list_order: {type: 'string', default: 'default', values: ['default', 'sort', 'group']},
+                log_level: {type: 'string', default: 'silent', values: ['silent', 'error', 'warn', 'info', 'debug']},
+                enable_diagnostics_panel: {type: 'boolean', default: false},
+                max_concurrent_api_requests: {type: 'number', default: 6, min: 1}
             };
         }
 
+        /**
+         * The default value of every preference.
+         */
+        get defaults() {
+            let schema = this.schema;
+            let defaults = {};
+
+            Object.keys(schema).forEach(function(key) {
+                defaults[key] = schema[key].default;
+            });
+
+            return defaults;
+        }
+
+        /**
+         * Version of the preferences schema, stored along the preferences.
+         */
+        get schemaVersion() {
+            return 3;
+        }
+
+        /**
+         * Ordered steps converting stored preferences (the global profile as well as each profile specific to a GitLab
+         * instance) from the previous schema version to the given one.
+         */
+        get migrations() {
+            return [
+                {
+                    // The Jira base URL used to be the only issue tracker that could be configured: it is now the
+                    // first one of the issue trackers list
+                    version: 2,
+                    migrate: function(preferences) {
+                        let issueTrackers = Array.isArray(preferences.issue_trackers) ? preferences.issue_trackers : [];
+
+                        let hasJiraIssueTracker = issueTrackers.some(function(issueTracker) {
+                            return issueTracker.name == 'Jira';
+                        });
+
+                        if (preferences.base_jira_url && !hasJiraIssueTracker) {
+                            let baseJiraUrl = preferences.base_jira_url.replace(/\/+$/, '');
+
+                            issueTrackers.unshift({
+                                name: 'Jira',
+                                pattern: '[A-Z]{1,10}-\\d+',
+                                url_template: baseJiraUrl + '/browse/{TICKET_ID}',
+                                label_type: preferences.jira_ticket_link_label_type || 'ticket_id',
+                                icon: 'issues'
+                            });
+
+                            preferences.issue_trackers = issueTrackers;
+
+                            if (preferences.enable_jira_ticket_link) {
+                                preferences.enable_issue_tracker_links = true;
+                            }
+                        }
+
+                        delete preferences.enable_jira_ticket_link;
+                        delete preferences.base_jira_url;
+                        delete preferences.jira_ticket_link_label_type;
+
+                        return preferences;
+                    }
+                },
+                {
+                    // A single format used to be available to copy Merge Request information: it is now the only
+                    // template of the copy templates list
+                    version: 3,
+                    migrate: function(preferences) {
+                        if (typeof preferences.copy_mr_info_format === 'string') {
+                            preferences.copy_mr_info_templates = [
+                                {name: 'Default', output: 'text', format: preferences.copy_mr_info_format}
+                            ];
+                        }
+
+                        delete preferences.copy_mr_info_format;
+
+                        return preferences;
+                    }
+                }
+            ];
+        }
+
+        /**
+         * Version of the JSON format used to export preferences, to be incremented when it changes in a way older
+         * versions of the extension can't import.
+         */
+        get exportFormatVersion() {
+            return 1;
+        }
+
+        /**
+         * Keys stored along the preferences which aren't preferences themselves.
+         */
+        get reservedKeys() {
+            return ['schema_version', 'use_sync_storage'];
+        }
+
+        /**
+         * Prefix of the keys under which every profile specific to a GitLab instance is stored, followed by its name.
+         *
+         * Each profile has its own key so it fits in the `sync` storage area quota of a single item (8 KB), which
+         * all profiles together could exceed.
+         */
+        get profileKeyPrefix() {
+            return 'profile:';
+        }
+
         /**
          * This class holds all the logic related to user preferences persistance.
+         *
+         * Preferences are stored as a global profile, used on every GitLab instance, and as optional profiles
+         * specific to a GitLab instance (identified by its host) which override the global one.
+         *
+         * Every method interacting with the storage returns a promise. Warnings and errors are written to the given
+         * logger (anything having `warn` and `error` methods, the console by default). Storage errors are also reported
+         * to the user through the given callback, receiving a human readable message (an alert by default).
          */
-        constructor() {
-            if (globals.browser) { // Firefox and Edge uses `browser`, Chrome and Opera uses `chrome`
-                this.getAll = this.getAllBrowser;
-                this.setAll = this.setAllBrowser;
-            } else if (globals.chrome) {
-                this.getAll = this.getAllChrome;
-                this.setAll = this.setAllChrome;
+        constructor(logger = console, reportStorageError = null) {
+            this.logger = logger;
+            this.reportStorageError = reportStorageError || function(message) {
+                alert(message + ', check console for more information.');
+            };
+
+            // Firefox and Edge uses `browser`, Chrome and Opera uses `chrome`
+            let browserApi = globals.browser || globals.chrome;
+
+            if (browserApi) {
+                this.storage = browserApi.storage;
             } else {
-                console.error('Unsupported browser');
+                this.logger.error('Unsupported browser');
             }
         }
 
         /**
-         * Get all the user's preferences.
+         * Get all the user's preferences of the given profile (a GitLab instance host), falling back to the global
+         * profile if there's no such profile or if no profile is given.
+         */
+        getAll(profileName = null) {
+            let self = this;
+
+            return this.loadStoredPreferences().then(function(stored) {
+                let preferences = Object.assign(self.defaults, stored.preferences);
+
+                if (profileName && profileName in stored.profiles) {
+                    Object.assign(preferences, stored.profiles[profileName]);
+                }
+
+                return preferences;
+            });
+        }
+
+        /**
+         * Save all the user's preferences to the given profile (a GitLab instance host), or to the global profile if
+         * no profile is given.
+         */
+        setAll(preferences, profileName = null) {
+            let self = this;
+
+            return this.loadStoredPreferences().then(function(stored) {
+                if (profileName) {
+                    stored.profiles[profileName] = self.sanitizePreferences(preferences);
+                } else {
+                    stored.preferences = self.sanitizePreferences(preferences);
+                }
+
+                return self.saveStoredPreferences(stored.preferences, stored.profiles);
+            });
+        }
+
+        /**
+         * Get the name of all the profiles specific to a GitLab instance.
+         */
+        getProfileNames() {
+            return this.loadStoredPreferences().then(function(stored) {
+                return Object.keys(stored.profiles).sort();
+            });
+        }
+
+        /**
+         * Delete the given profile specific to a GitLab instance.
+         */
+        deleteProfile(profileName) {
+            let self = this;
+
+            return this.loadStoredPreferences().then(function(stored) {
+                delete stored.profiles[profileName];
+
+                return self.saveStoredPreferences(stored.preferences, stored.profiles);
+            });
+        }
+
+        /**
+         * Get all the user's preferences (global profile and profiles specific to a GitLab instance) in the format
+         * used to export them as a JSON file.
+         */
+        exportAll() {
+            let self = this;
+
+            return this.loadStoredPreferences().then(function(stored) {
+                return {
+                    format: 'gmrle-preferences',
+                    version: self.exportFormatVersion,
+                    schema_version: self.schemaVersion,
+                    preferences: Object.assign(self.defaults, stored.preferences),
+                    profiles: stored.profiles
+                };
+            });
+        }
+
+        /**
+         * Validate preferences previously exported by `exportAll` (and parsed from JSON), returning a list of human
+         * readable errors which is empty if they can be imported.
+         */
+        validateExportedPreferences(exportedPreferences) {
+            let self = this;
+            let errors = [];
+
+            let isObject = function(value) {
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            };
+
+            let validatePreferences = function(preferences, location) {
+                if (!isObject(preferences)) {
+                    errors.push(location + ' must be an object.');
+
+                    return;
+                }
+
+                Object.keys(preferences).forEach(function(key) {
+                    let error = self.getPreferenceError(key, preferences[key]);
+
+                    if (error) {
+                        errors.push(location + ': ' + error);
+                    }
+                });
+            };
+
+            if (!isObject(exportedPreferences) || exportedPreferences.format != 'gmrle-preferences') {
+                return ['This file doesn\'t contain preferences exported by this extension.'];
+            }
+
+            if (!Number.isInteger(exportedPreferences.version) || exportedPreferences.version > this.exportFormatVersion
+                || (exportedPreferences.schema_version || 0) > this.schemaVersion) {
+                return ['This file was exported by a newer version of this extension, please update it first.'];
+            }
+
+            if (!isObject(exportedPreferences.preferences) || !isObject(exportedPreferences.profiles)) {
+                return ['Global preferences and profiles must be objects.'];
+            }
+
+            let migratedPreferences = this.migrateExportedPreferences(exportedPreferences);
+
+            validatePreferences(migratedPreferences.preferences, 'Global preferences');
+
+            Object.keys(migratedPreferences.profiles).forEach(function(profileName) {
+                validatePreferences(migratedPreferences.profiles[profileName], 'Profile "' + profileName + '"');
+            });
+
+            return errors;
+        }
+
+        /**
+         * Returns a copy of the given exported preferences converted to the current schema version.
+         */
+        migrateExportedPreferences(exportedPreferences) {
+            let self = this;
+
+            // Exports predating schema versioning were already converted to schema version 2
+            let schemaVersion = exportedPreferences.schema_version || 2;
+            let migratedPreferences = JSON.parse(JSON.stringify(exportedPreferences));
+
+            migratedPreferences.schema_version = this.schemaVersion;
+            migratedPreferences.preferences = this.migratePreferences(migratedPreferences.preferences, schemaVersion);
+
+            Object.keys(migratedPreferences.profiles).forEach(function(profileName) {
+                migratedPreferences.profiles[profileName] = self.migratePreferences(migratedPreferences.profiles[profileName], schemaVersion);
+            });
+
+            return migratedPreferences;
+        }
+
+        /**
+         * Replace all the user's preferences (global profile and profiles specific to a GitLab instance) by the
+         * given ones, previously exported by `exportAll` and validated by `validateExportedPreferences`.
          *
-         * Used as `getAll` if the current browser is Firefox or Edge.
+         * Preferences missing from the global profile are reset to their default value.
          */
-        getAllBrowser(successCallback) {
-            browser.storage.local.get(this.defaults).then(successCallback, function() {
-                alert('Error retrieving extension preferences.');
+        importAll(exportedPreferences) {
+            let self = this;
+            let migratedPreferences = this.migrateExportedPreferences(exportedPreferences);
+            let profiles = {};
+
+            Object.keys(migratedPreferences.profiles).forEach(function(profileName) {
+                profiles[profileName] = self.sanitizePreferences(migratedPreferences.profiles[profileName]);
             });
+
+            return this.saveStoredPreferences(
+                Object.assign(this.defaults, this.sanitizePreferences(migratedPreferences.preferences)),
+                profiles
+            );
         }
 
         /**
-         * Save all the user's preferences.
+         * Determine if preferences are stored in the `sync` storage area (following the user across browsers) rather
+         * than in the `local` one.
          *
-         * Used as `setAll` if the current browser is Firefox or Edge.
+         * This flag itself is always stored in the `local` storage area.
          */
-        setAllBrowser(preferences, successCallback, errorCallback) {
-            browser.storage.local.set(preferences).then(successCallback, function() {
-                errorCallback();
+        isSyncStorageEnabled() {
+            return this.storage.local.get({use_sync_storage: false}).then(function(items) {
+                return items.use_sync_storage;
+            });
+        }
 
-                alert('Error saving extension preferences.');
+        /**
+         * Switch preferences storage to the `sync` or `local` storage area, copying all the stored preferences (global
+         * one and profiles) to the new storage area.
+         */
+        setSyncStorageEnabled(enabled) {
+            let self = this;
+
+            return this.loadStoredPreferences().then(function(stored) {
+                return self.writeStoredPreferences(self.storage[enabled ? 'sync' : 'local'], stored.preferences, stored.profiles);
+            }).then(function() {
+                return self.storage.local.set({use_sync_storage: enabled});
+            }).catch(function(error) {
+                self.handleStorageError('Error saving extension preferences', error);
             });
         }
 
         /**
-         * Get all the user's preferences.
+         * Get the storage area currently in use.
+         */
+        getStorageArea() {
+            let self = this;
+
+            return this.isSyncStorageEnabled().then(function(syncStorageEnabled) {
+                return self.storage[syncStorageEnabled ? 'sync' : 'local'];
+            });
+        }
+
+        /**
+         * Read the global profile and the profiles specific to a GitLab instance from the storage, converted to the
+         * current schema version and stripped of unknown or invalid preferences.
          *
-         * Used as `getAll` if the current browser is Chrome or Opera.
+         * Stored preferences are rewritten if they had to be converted.
          */
-        getAllChrome(successCallback) {
-            chrome.storage.local.get(this.defaults, function(preferences) {
-                if (chrome.runtime.lastError) {
-                    alert('Error retrieving extension preferences, check console for more information.');
+        loadStoredPreferences() {
+            let self = this;
 
-                    console.error('Error retrieving extension preferences:', chrome.runtime.lastError);
-                } else {
-                    successCallback(preferences);
+            return this.getStorageArea().then(function(storageArea) {
+                return storageArea.get(null);
+            }).then(function(items) {
+                let schemaVersion = items.schema_version || 1;
+                // Profiles used to be all stored under a single key
+                let hasLegacyProfiles = 'profiles' in items;
+                let profiles = Object.assign({}, items.profiles);
+                let preferences = {};
+
+                Object.keys(items).forEach(function(key) {
+                    if (key.startsWith(self.profileKeyPrefix)) {
+                        profiles[key.substring(self.profileKeyPrefix.length)] = items[key];
+                    } else if (key != 'profiles' && !self.reservedKeys.includes(key)) {
+                        preferences[key] = items[key];
+                    }
+                });
+
+                let stored = {
+                    preferences: self.sanitizePreferences(self.migratePreferences(preferences, schemaVersion)),
+                    profiles: {}
+                };
+
+                Object.keys(profiles).forEach(function(profileName) {
+                    stored.profiles[profileName] = self.sanitizePreferences(self.migratePreferences(profiles[profileName], schemaVersion));
+                });
+
+                if (schemaVersion < self.schemaVersion || hasLegacyProfiles) {
+                    // Failing to persist converted preferences isn't fatal as they'll be converted again next time
+                    return self.saveStoredPreferences(stored.preferences, stored.profiles).catch(function() {}).then(function() {
+                        return stored;
+                    });
                 }
+
+                return stored;
+            }).catch(function(error) {
+                self.handleStorageError('Error retrieving extension preferences', error);
             });
         }
 
         /**
-         * Save all the user's preferences.
+         * Write the given global profile and profiles specific to a GitLab instance to the storage area currently in
+         * use.
+         */
+        saveStoredPreferences(preferences, profiles) {
+            let self = this;
+
+            return this.getStorageArea().then(function(storageArea) {
+                return self.writeStoredPreferences(storageArea, preferences, profiles);
+            }).catch(function(error) {
+                self.handleStorageError('Error saving extension preferences', error);
+            });
+        }
+
+        /**
+         * Write the given global profile and profiles specific to a GitLab instance to the given storage area,
+         * removing any other stored key (e.g. deleted profiles or preferences from older versions of the extension).
          *
-         * Used as `setAll` if the current browser is Chrome or Opera.
+         * Obsolete keys are only removed once the new ones are written, so stored preferences are left untouched if
+         * writing fails.
+         */
+        writeStoredPreferences(storageArea, preferences, profiles) {
+            let self = this;
+            let items = Object.assign({}, preferences, {schema_version: this.schemaVersion});
+
+            Object.keys(profiles).forEach(function(profileName) {
+                items[self.profileKeyPrefix + profileName] = profiles[profileName];
+            });
+
+            return storageArea.set(items).then(function() {
+                return storageArea.get(null);
+            }).then(function(storedItems) {
+                let obsoleteKeys = Object.keys(storedItems).filter(function(key) {
+                    return !(key in items) && !self.reservedKeys.includes(key);
+                });
+
+                return storageArea.remove(obsoleteKeys);
+            });
+        }
+
+        /**
+         * Run the migration steps converting the given preferences from the given schema version to the current
+         * one.
          */
-        setAllChrome(preferences, successCallback, errorCallback) {
-            chrome.storage.local.set(preferences, function() {
-                if (chrome.runtime.lastError) {
-                    errorCallback();
+        migratePreferences(preferences, schemaVersion) {
+            return this.migrations.reduce(function(preferences, migration) {
+                return migration.version > schemaVersion ? migration.migrate(preferences) : preferences;
+            }, preferences);
+        }
+
+        /**
+         * Returns a copy of the given preferences without the unknown or invalid ones. Invalid items of arrays are
+         * removed, the other items being kept.
+         */
+        sanitizePreferences(preferences) {
+            let self = this;
+            let schema = this.schema;
+            let sanitizedPreferences = {};
+
+            Object.keys(preferences).forEach(function(key) {
+                let value = preferences[key];
+
+                if (key in schema && schema[key].items && Array.isArray(value)) {
+                    value = value.filter(function(item, index) {
+                        let error = self.getItemError('preference "' + key + '" item #' + (index + 1), schema[key].items, item);
+
+                        if (error) {
+                            self.logger.warn('Ignoring extension preference item:', error);
+                        }
+
+                        return !error;
+                    });
+                }
 
-                    alert('Error saving extension preferences, check console for more information.');
+                let error = self.getPreferenceError(key, value);
 
-                    console.error('Error saving extension preferences:', chrome.runtime.lastError);
+                if (error) {
+                    self.logger.warn('Ignoring extension preference:', error);
                 } else {
-                    successCallback();
+                    sanitizedPreferences[key] = value;
                 }
             });
+
+            return sanitizedPreferences;
+        }
+
+        /**
+         * Returns a human readable error if the given preference is unknown or if its value isn't valid according to
+         * the schema, `null` otherwise.
+         */
+        getPreferenceError(key, value) {
+            let definition = this.schema[key];
+
+            if (!definition) {
+                return 'unknown preference "' + key + '".';
+            }
+
+            return this.getValueError('preference "' + key + '"', definition, value);
+        }
+
+        /**
+         * Returns a human readable error, starting with the given label, if the given value isn't valid according to
+         * the given definition, `null` otherwise.
+         */
+        getValueError(label, definition, value) {
+            let type = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+
+            if (type != definition.type) {
+                return label + ' must be of type ' + definition.type + '.';
+            }
+
+            if (definition.values && !definition.values.includes(value)) {
+                return label + ' must be one of ' + definition.values.join(', ') + '.';
+            }
+
+            if ('min' in definition && value < definition.min) {
+                return label + ' must be greater than or equal to ' + definition.min + '.';
+            }
+
+            if (definition.prefixes && !definition.prefixes.some(function(prefix) {
+                return value.toLowerCase().startsWith(prefix.toLowerCase());
+            })) {
+                return label + ' must start with ' + definition.prefixes.join(', ') + '.';
+            }
+
+            if (definition.format == 'regexp') {
+                try {
+                    new RegExp(value);
+                } catch (e) {
+                    return label + ' must be a valid regular expression (' + e.message + ').';
+                }
+            }
+
+            if (definition.format == 'template') {
+                // The template renderer is loaded after this file, it's only available once all scripts are loaded
+                let error = new globals.Gmrle.TemplateRenderer().validate(value);
+
+                if (error) {
+                    return label + ' must be a valid template (' + error + ').';
+                }
+            }
+
+            if (definition.items) {
+                for (let index = 0; index < value.length; index++) {
+                    let error = this.getItemError(label + ' item #' + (index + 1), definition.items, value[index]);
+
+                    if (error) {
+                        return error;
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Returns a human readable error, starting with the given label, if the given array item isn't an object
+         * whose fields are valid according to the given fields definitions, `null` otherwise.
+         */
+        getItemError(label, fieldsDefinitions, item) {
+            if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+                return label + ' must be an object.';
+            }
+
+            for (let field of Object.keys(fieldsDefinitions)) {
+                let fieldLabel = label + ' field "' + field + '"';
+
+                if (!(field in item)) {
+                    if (fieldsDefinitions[field].optional) {
+                        continue;
+                    }
+
+                    return fieldLabel + ' is required.';
+                }
+
+                let error = this.getValueError(fieldLabel, fieldsDefinitions[field], item[field]);
+
+                if (error) {
+                    return error;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Notify the user that the storage couldn't be read from or written to, then propagate the error.
+         */
+        handleStorageError(message, error) {
+            this.reportStorageError(message);
+
+            this.logger.error(message + ':', error);
+
+            throw error;
         }
     }
-}(this));
\ No newline at end of file
+}(this));
@@ -0,0 +1,279 @@
+(function(globals) {
+    'use strict';
+
+    globals.Gmrle = globals.Gmrle || {};
+
+    globals.Gmrle.TemplateRenderer = class {
+        /**
+         * This class renders text templates such as the one used to copy Merge Request information.
+         *
+         * Supported syntax:
+         *
+         *   - `{NAME}`: a variable, left untouched if it's unknown
+         *   - `{NAME|filter|filter:argument}`: a variable passed through filters (see `filters`), spaces around `|`
+         *     being allowed
+         *   - `{#if NAME}...{#else}...{/if}`: a conditional (`{#if !NAME}` negates it), the `{#else}` part is optional
+         *   - `{#each NAME}...{/each}`: a loop over a list. Inside the loop, `{ITEM}` is the current item, `{INDEX}`
+         *     its position (starting at 1), `{IS_FIRST}` and `{IS_LAST}` whether it's the first or last one. Fields
+         *     of the current item (e.g. `{NAME}` or `{USERNAME}` for users) are also available
+         */
+        constructor() {
+            this.variableRegex = /^([A-Z][A-Z0-9_]*)\s*((?:\|.*)?)$/;
+            this.filterRegex = /\|\s*([a-z_]+)(?::\s*("[^"]*"|[^|]*))?/g;
+        }
+
+        /**
+         * Filters that can be applied to variables. They receive the variable value and the filter argument, if any.
+         */
+        get filters() {
+            let self = this;
+
+            return {
+                upper: function(value) {
+                    return self.stringify(value).toUpperCase();
+                },
+                lower: function(value) {
+                    return self.stringify(value).toLowerCase();
+                },
+                truncate: function(value, length) {
+                    let text = self.stringify(value);
+
+                    length = parseInt(length, 10) || 50;
+
+                    return text.length > length ? text.substring(0, length - 1).trimEnd() + '…' : text;
+                },
+                escape_markdown: function(value) {
+                    return self.stringify(value).replace(/[\\`*_{}[\]()#+\-.!|<>~]/g, '\\$&');
+                },
+                default: function(value, defaultValue) {
+                    return self.isTruthy(value) ? value : (defaultValue || '');
+                },
+                join: function(value, separator) {
+                    return Array.isArray(value) ? value.map(self.stringify, self).join(separator === undefined ? ', ' : separator) : value;
+                },
+                count: function(value) {
+                    return Array.isArray(value) ? value.length : (self.isTruthy(value) ? 1 : 0);
+                }
+            };
+        }
+
+        /**
+         * Renders the given template against the given variables. If given, the escape function is applied to every
+         * rendered variable (e.g. to render HTML templates).
+         *
+         * Throws an `Error` if the template syntax is invalid.
+         */
+        render(template, variables, escapeFunction = null) {
+            return this.renderNodes(this.parse(template), [variables], escapeFunction);
+        }
+
+        /**
+         * Check the given template syntax, returning a human readable error or `null` if it's valid.
+         */
+        validate(template) {
+            try {
+                this.parse(template);
+
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        }
+
+        /**
+         * Converts the given template to a tree of nodes (texts, variables, conditionals and loops).
+         */
+        parse(template) {
+            let root = {type: 'root', children: []};
+            let stack = [root];
+            let tagRegex = /\{([^{}]*)\}/g;
+            let lastIndex = 0;
+            let match;
+
+            let append = function(node) {
+                let parent = stack[stack.length - 1];
+
+                (parent.inElse ? parent.elseChildren : parent.children).push(node);
+            };
+
+            while ((match = tagRegex.exec(template)) !== null) {
+                let tag = match[1].trim();
+                let parent = stack[stack.length - 1];
+                let blockMatch = tag.match(/^#(if|each)\s+(!?)([A-Z][A-Z0-9_]*)$/);
+                let variableMatch = tag.match(this.variableRegex);
+
+                if (match.index > lastIndex) {
+                    append({type: 'text', text: template.substring(lastIndex, match.index)});
+                }
+
+                lastIndex = tagRegex.lastIndex;
+
+                if (blockMatch) {
+                    if (blockMatch[1] == 'each' && blockMatch[2]) {
+                        throw new Error('Loops can\'t be negated: {' + tag + '}');
+                    }
+
+                    let node = {
+                        type: blockMatch[1],
+                        negated: blockMatch[2] == '!',
+                        name: blockMatch[3],
+                        children: [],
+                        elseChildren: [],
+                        inElse: false
+                    };
+
+                    append(node);
+                    stack.push(node);
+                } else if (tag == '#else') {
+                    if (parent.type != 'if' || parent.inElse) {
+                        throw new Error('Unexpected {#else}');
+                    }
+
+                    parent.inElse = true;
+                } else if (tag == '/if' || tag == '/each') {
+                    if (parent.type != tag.substring(1)) {
+                        throw new Error('Unexpected {' + tag + '}');
+                    }
+
+                    stack.pop();
+                } else if (variableMatch) {
+                    append({type: 'variable', name: variableMatch[1], filters: this.parseFilters(variableMatch[2]), raw: match[0]});
+                } else {
+                    append({type: 'text', text: match[0]});
+                }
+            }
+
+            if (stack.length > 1) {
+                throw new Error('Missing {/' + stack[stack.length - 1].type + '}');
+            }
+
+            if (lastIndex < template.length) {
+                append({type: 'text', text: template.substring(lastIndex)});
+            }
+
+            return root.children;
+        }
+
+        /**
+         * Converts a filters chain (e.g. `|truncate:20|upper`) to a list of filters names and arguments.
+         */
+        parseFilters(filtersChain) {
+            let filters = [];
+            let availableFilters = this.filters;
+            let match;
+
+            this.filterRegex.lastIndex = 0;
+
+            while ((match = this.filterRegex.exec(filtersChain)) !== null) {
+                if (!(match[1] in availableFilters)) {
+                    throw new Error('Unknown filter: ' + match[1]);
+                }
+
+                let argument = match[2] === undefined ? undefined : match[2].trim().replace(/^"(.*)"$/, '$1');
+
+                filters.push({name: match[1], argument: argument});
+            }
+
+            return filters;
+        }
+
+        /**
+         * Renders the given nodes, variables being looked up in the given scopes (innermost last).
+         */
+        renderNodes(nodes, scopes, escapeFunction) {
+            let self = this;
+
+            return nodes.map(function(node) {
+                if (node.type == 'text') {
+                    return node.text;
+                }
+
+                let value = self.lookup(node.name, scopes);
+
+                if (node.type == 'variable') {
+                    if (value === undefined) {
+                        return node.raw;
+                    }
+
+                    let availableFilters = self.filters;
+
+                    node.filters.forEach(function(filter) {
+                        value = availableFilters[filter.name](value, filter.argument);
+                    });
+
+                    return escapeFunction ? escapeFunction(self.stringify(value)) : self.stringify(value);
+                }
+
+                if (node.type == 'if') {
+                    return self.renderNodes(self.isTruthy(value) != node.negated ? node.children : node.elseChildren, scopes, escapeFunction);
+                }
+
+                // Loop
+                let items = Array.isArray(value) ? value : [];
+
+                return items.map(function(item, index) {
+                    let scope = {
+                        ITEM: item,
+                        INDEX: index + 1,
+                        IS_FIRST: index == 0,
+                        IS_LAST: index == items.length - 1
+                    };
+
+                    if (item !== null && typeof item === 'object') {
+                        Object.assign(scope, item);
+                    }
+
+                    return self.renderNodes(node.children, scopes.concat([scope]), escapeFunction);
+                }).join('');
+            }).join('');
+        }
+
+        /**
+         * Find the value of the given variable in the given scopes, starting from the innermost one.
+         */
+        lookup(name, scopes) {
+            for (let i = scopes.length - 1; i >= 0; i--) {
+                if (name in scopes[i]) {
+                    return scopes[i][name];
+                }
+            }
+
+            return undefined;
+        }
+
+        /**
+         * Determine if the given value is considered as true by conditionals.
+         */
+        isTruthy(value) {
+            return Array.isArray(value) ? value.length > 0 : !!value;
+        }
+
+        /**
+         * Escapes the given text so it can be safely used in HTML templates.
+         */
+        escapeHtml(text) {
+            return text.replace(/[&<>"']/g, function(character) {
+                return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'}[character];
+            });
+        }
+
+        /**
+         * Converts the given value to text. Lists are separated by commas, objects are represented by their name.
+         */
+        stringify(value) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+
+            if (Array.isArray(value)) {
+                return value.map(this.stringify, this).join(', ');
+            }
+
+            if (typeof value === 'object') {
+                return this.stringify(value.NAME);
+            }
+
+            return String(value);
+        }
+    }
+}(this));
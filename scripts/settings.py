@@ -13,8 +13,11 @@ MANIFEST_FILE = {
     },
     'content_scripts': [
         {
-            'matches': ['*://*/*/*/-/merge_requests', '*://*/*/*/-/merge_requests?*'],
-            'js': ['js/preferences.js', 'js/content.js']
+            'matches': [
+                '*://*/*/*/-/merge_requests', '*://*/*/*/-/merge_requests?*',
+                '*://*/dashboard/merge_requests', '*://*/dashboard/merge_requests?*'
+            ],
+            'js': ['js/preferences.js', 'js/template.js', 'js/content.js']
         }
     ],
     'options_ui': {
@@ -23,6 +26,7 @@ MANIFEST_FILE = {
     },
     'permissions': [
         '*://*/*/-/merge_requests', '*://*/*/-/merge_requests?*',
+        '*://*/dashboard/merge_requests', '*://*/dashboard/merge_requests?*',
         'storage'
     ]
 }